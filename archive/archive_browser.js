@@ -0,0 +1,315 @@
+// Archive Browser (module)
+// "View Old News" on index.html: every date in archive_index.json, a month at
+// a time, as a calendar or a list. Each day previews its headlines from that
+// date's listings (via NewsData), and days where the active child already read an
+// article (a read_<id> stats entry) are marked.
+// Usage: mountArchiveBrowser(button, { userManager, level: () => 'middle' })
+
+import ArticleSearch from '../search/article_search.js';
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const CATEGORY_NAMES = { news: 'News', science: 'Science', fun: 'Fun' };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const VIEW_KEY = 'archive_view'; // 'calendar' | 'list'
+
+let options = {};
+let panel = null;
+let archive = null;           // Promise of Map date -> archive_index.json entry
+let months = [];              // 'YYYY-MM', oldest first
+let monthIndex = 0;
+let selectedDate = null;
+const days = new Map();       // `${date}|${level}` -> { headlines, ids } once loaded
+const loading = new Map();    // same key -> Promise
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function monthLabel(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+function dayLabel(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+function currentLevel() {
+    return (options.level && options.level()) || 'middle';
+}
+
+function view() {
+    return localStorage.getItem(VIEW_KEY) === 'list' ? 'list' : 'calendar';
+}
+
+async function loadArchive() {
+    if (!archive) {
+        archive = fetch('/payloads/archive_index.json')
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => new Map((data.dates || [])
+                .filter(item => item && item.date && item.payloads_url)
+                .map(item => [item.date, item])))
+            .catch(error => {
+                console.log('Could not load archive dates:', error);
+                archive = null;
+                return new Map();
+            });
+    }
+    const dates = await archive;
+    months = [...new Set([...dates.keys()].map(date => date.slice(0, 7)))].sort();
+    return dates;
+}
+
+/**
+ * Headlines (first article of each category) and every article id of a date
+ * at a level; archived listings never change, so they are cached
+ */
+function loadDay(item, level) {
+    const key = `${item.date}|${level}`;
+    if (!loading.has(key)) {
+        loading.set(key, Promise.all(CATEGORIES.map(category =>
+            NewsData.forDate(item.date).listing(category, level)
+                .then(data => ({ category, articles: data.articles }))
+                .catch(error => {
+                    console.warn('Archive: no listing for', item.date, category, error.message);
+                    return { category, articles: [] };
+                })
+        )).then(listings => {
+            const day = { headlines: [], ids: new Set() };
+            listings.forEach(({ category, articles }) => {
+                articles.forEach(article => day.ids.add(article.id));
+                if (articles[0]) day.headlines.push({ category, id: articles[0].id, title: articles[0].title || '' });
+            });
+            days.set(key, day);
+            return day;
+        }));
+    }
+    return loading.get(key);
+}
+
+function readIds() {
+    const stats = (options.userManager && options.userManager.stats) || {};
+    return new Set(Object.keys(stats)
+        .filter(key => key.startsWith('read_'))
+        .map(key => key.slice('read_'.length)));
+}
+
+// How many of a day's articles the child read (null until the day is loaded)
+function readCount(date, read) {
+    const day = days.get(`${date}|${currentLevel()}`);
+    if (!day) return null;
+    let count = 0;
+    day.ids.forEach(id => { if (read.has(id)) count++; });
+    return count;
+}
+
+function articleUrl(date, headline) {
+    return ArticleSearch.articleUrl({ articleId: headline.id, level: currentLevel(), category: headline.category, date, today: false });
+}
+
+function createPanel() {
+    const wrapper = document.createElement('div');
+    wrapper.id = 'archive-browser';
+    wrapper.className = 'hidden fixed inset-0 z-50 bg-black/50 backdrop-blur-sm items-start justify-center p-4 pt-16';
+    wrapper.innerHTML = `
+        <div class="w-full max-w-2xl bg-background-light dark:bg-background-dark rounded-xl shadow-2xl border border-border-light dark:border-border-dark flex flex-col max-h-[85vh]">
+            <div class="p-4 border-b border-border-light dark:border-border-dark flex items-center gap-2">
+                <h3 class="text-xl font-bold text-text-light dark:text-text-dark flex-1">Old News</h3>
+                <div class="flex rounded-lg bg-card-light dark:bg-card-dark p-1 text-sm font-semibold">
+                    <button data-view="calendar" class="px-3 py-1 rounded-md flex items-center gap-1" title="Calendar">
+                        <span class="material-symbols-outlined text-base">calendar_month</span>
+                    </button>
+                    <button data-view="list" class="px-3 py-1 rounded-md flex items-center gap-1" title="List">
+                        <span class="material-symbols-outlined text-base">view_list</span>
+                    </button>
+                </div>
+                <button id="archive-browser-close" class="p-1 rounded-lg text-subtle-light dark:text-subtle-dark hover:text-text-light dark:hover:text-text-dark" title="Close">
+                    <span class="material-symbols-outlined">close</span>
+                </button>
+            </div>
+            <div class="px-4 pt-3 flex items-center justify-between">
+                <button id="archive-prev-month" class="p-2 rounded-lg hover:bg-border-light dark:hover:bg-border-dark disabled:opacity-30 disabled:cursor-not-allowed" title="Previous month">
+                    <span class="material-symbols-outlined">chevron_left</span>
+                </button>
+                <div id="archive-month" class="font-bold text-text-light dark:text-text-dark"></div>
+                <button id="archive-next-month" class="p-2 rounded-lg hover:bg-border-light dark:hover:bg-border-dark disabled:opacity-30 disabled:cursor-not-allowed" title="Next month">
+                    <span class="material-symbols-outlined">chevron_right</span>
+                </button>
+            </div>
+            <div id="archive-body" class="p-4 overflow-y-auto"></div>
+            <p class="text-xs text-subtle-light dark:text-subtle-dark text-center pb-4 flex items-center justify-center gap-1">
+                <span class="material-symbols-outlined text-base text-green-600">check_circle</span>
+                Days you already read something
+            </p>
+        </div>
+    `;
+    document.body.appendChild(wrapper);
+
+    wrapper.addEventListener('click', event => {
+        if (event.target === wrapper) closePanel();
+    });
+    wrapper.querySelector('#archive-browser-close').addEventListener('click', closePanel);
+    wrapper.querySelector('#archive-prev-month').addEventListener('click', () => showMonth(monthIndex - 1));
+    wrapper.querySelector('#archive-next-month').addEventListener('click', () => showMonth(monthIndex + 1));
+    wrapper.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => {
+            localStorage.setItem(VIEW_KEY, button.dataset.view);
+            render();
+        });
+    });
+    wrapper.querySelector('#archive-body').addEventListener('click', event => {
+        const day = event.target.closest('[data-select-date]');
+        if (!day) return;
+        selectedDate = day.dataset.selectDate;
+        render();
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !wrapper.classList.contains('hidden')) closePanel();
+    });
+    return wrapper;
+}
+
+async function openPanel() {
+    if (!panel) panel = createPanel();
+    panel.classList.remove('hidden');
+    panel.classList.add('flex');
+
+    const dates = await loadArchive();
+    if (months.length === 0) {
+        panel.querySelector('#archive-body').innerHTML = '<p class="text-center text-subtle-light dark:text-subtle-dark py-4">No archives available</p>';
+        return;
+    }
+    if (!selectedDate || !dates.has(selectedDate)) {
+        selectedDate = [...dates.keys()].sort().pop();
+        monthIndex = months.length - 1;
+    }
+    showMonth(monthIndex);
+}
+
+function closePanel() {
+    panel.classList.add('hidden');
+    panel.classList.remove('flex');
+}
+
+/**
+ * Switch month and load its days' listings one day at a time, redrawing as
+ * each arrives (newest first, the order the list shows them)
+ */
+async function showMonth(index) {
+    monthIndex = Math.max(0, Math.min(months.length - 1, index));
+    const monthKey = months[monthIndex];
+    if (!selectedDate || !selectedDate.startsWith(monthKey)) selectedDate = null;
+    render();
+
+    const dates = await loadArchive();
+    const level = currentLevel();
+    const monthDates = [...dates.keys()].filter(date => date.startsWith(monthKey)).sort().reverse();
+    for (const date of monthDates) {
+        if (months[monthIndex] !== monthKey) return; // moved on to another month
+        if (!days.has(`${date}|${level}`)) {
+            await loadDay(dates.get(date), level);
+            render();
+        }
+    }
+}
+
+async function render() {
+    const dates = await loadArchive();
+    const monthKey = months[monthIndex];
+    const monthDates = [...dates.keys()].filter(date => date.startsWith(monthKey)).sort();
+    const read = readIds();
+
+    panel.querySelector('#archive-month').textContent = monthLabel(monthKey);
+    panel.querySelector('#archive-prev-month').disabled = monthIndex === 0;
+    panel.querySelector('#archive-next-month').disabled = monthIndex === months.length - 1;
+    panel.querySelectorAll('[data-view]').forEach(button => {
+        const active = button.dataset.view === view();
+        button.classList.toggle('bg-primary', active);
+        button.classList.toggle('text-white', active);
+    });
+
+    panel.querySelector('#archive-body').innerHTML = view() === 'list'
+        ? listHtml(monthDates.reverse(), read)
+        : calendarHtml(monthKey, monthDates, read) + (selectedDate ? previewHtml(selectedDate, read) : '');
+}
+
+function readMark(date, read) {
+    const count = readCount(date, read);
+    return count ? '<span class="material-symbols-outlined text-base text-green-600" title="You read something from this day">check_circle</span>' : '';
+}
+
+function calendarHtml(monthKey, monthDates, read) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const firstDay = new Date(year, month - 1, 1).getDay();
+    const daysInMonth = new Date(year, month, 0).getDate();
+
+    let cells = WEEKDAYS.map(day => `<div class="text-xs font-semibold text-subtle-light dark:text-subtle-dark py-1">${day}</div>`).join('');
+    cells += '<div></div>'.repeat(firstDay);
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${monthKey}-${String(day).padStart(2, '0')}`;
+        if (!monthDates.includes(date)) {
+            cells += `<div class="p-2 text-subtle-light dark:text-subtle-dark">${day}</div>`;
+            continue;
+        }
+        const selected = date === selectedDate ? ' ring-2 ring-offset-2 ring-primary dark:ring-offset-background-dark' : '';
+        const done = readCount(date, read) > 0;
+        cells += `
+            <button data-select-date="${date}" class="relative p-2 rounded-lg bg-primary text-white font-semibold hover:bg-primary/80 transition-colors${selected}" title="${escapeHtml(dayLabel(date))}">
+                ${day}
+                ${done ? '<span class="absolute -top-1 -right-1 size-4 rounded-full bg-green-600 text-white text-[10px] leading-4">✓</span>' : ''}
+            </button>`;
+    }
+    return `<div class="grid grid-cols-7 gap-2 text-center">${cells}</div>`;
+}
+
+function headlinesHtml(date) {
+    const day = days.get(`${date}|${currentLevel()}`);
+    if (!day) return '<p class="text-sm text-subtle-light dark:text-subtle-dark">Loading headlines…</p>';
+    if (day.headlines.length === 0) return '<p class="text-sm text-subtle-light dark:text-subtle-dark">No headlines for this day.</p>';
+    return `<ul class="space-y-1">${day.headlines.map(headline => `
+        <li class="text-sm flex gap-2">
+            <span class="shrink-0 w-16 text-xs font-semibold text-primary pt-0.5">${CATEGORY_NAMES[headline.category]}</span>
+            <a href="${articleUrl(date, headline)}" class="text-text-light dark:text-text-dark hover:text-primary">${escapeHtml(headline.title)}</a>
+        </li>`).join('')}</ul>`;
+}
+
+function openDayLink(date) {
+    return `<a href="/archive/archive?date=${date}" class="shrink-0 text-primary hover:text-primary/80 font-semibold text-sm">All stories →</a>`;
+}
+
+function previewHtml(date, read) {
+    return `
+        <div class="mt-4 p-4 rounded-lg bg-card-light dark:bg-card-dark">
+            <div class="flex items-center justify-between gap-2 mb-2">
+                <h4 class="font-bold text-text-light dark:text-text-dark flex items-center gap-1">${escapeHtml(dayLabel(date))} ${readMark(date, read)}</h4>
+                ${openDayLink(date)}
+            </div>
+            ${headlinesHtml(date)}
+        </div>
+    `;
+}
+
+function listHtml(monthDates, read) {
+    return `<div class="space-y-3">${monthDates.map(date => `
+        <div class="p-4 rounded-lg bg-card-light dark:bg-card-dark">
+            <div class="flex items-center justify-between gap-2 mb-2">
+                <h4 class="font-bold text-text-light dark:text-text-dark flex items-center gap-1">${escapeHtml(dayLabel(date))} ${readMark(date, read)}</h4>
+                ${openDayLink(date)}
+            </div>
+            ${headlinesHtml(date)}
+        </div>`).join('')}</div>`;
+}
+
+function mountArchiveBrowser(trigger, mountOptions = {}) {
+    if (!trigger) return;
+    options = mountOptions;
+    trigger.addEventListener('click', openPanel);
+}
+
+export { mountArchiveBrowser };
+export default mountArchiveBrowser;
@@ -0,0 +1,472 @@
+/**
+ * Keyword Games - pluggable games over an article's keywords
+ * Every game registers itself with registerKeywordGame(id, game) and is then
+ * offered in the article page's game block. A game is:
+ *
+ *   { title, icon, description, minWords, maxWords,
+ *     start(words, container, session) }
+ *
+ * start() draws the game into container. It calls session.complete(keyword)
+ * when the child gets a word right (reported once per word through the page's
+ * onWordCompleted, which calls trackWordCompletion()) and session.finish(correct,
+ * total) when the round is over.
+ */
+
+const KEYWORD_GAMES = {};
+const KEYWORD_GAME_BUTTON_CLASSES = 'flex-1 px-6 py-3 rounded-lg font-bold flex items-center justify-center gap-2';
+
+function registerKeywordGame(id, game) {
+    KEYWORD_GAMES[id] = { minWords: 1, maxWords: 5, ...game, id };
+}
+
+function keywordTerm(kw) {
+    return kw.term || kw.title || '';
+}
+
+function keywordExplanation(kw) {
+    return kw.explanation || kw.description || '';
+}
+
+function escapeGameHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function shuffleGameItems(items) {
+    return [...items].sort(() => Math.random() - 0.5);
+}
+
+/**
+ * One round of a game in a modal
+ */
+class KeywordGameSession {
+    constructor(gameId, keywords, { onWordCompleted = null } = {}) {
+        this.game = KEYWORD_GAMES[gameId];
+        this.keywords = keywords;
+        this.onWordCompleted = onWordCompleted;
+        this.completed = new Set();
+        this.modal = null;
+    }
+
+    /**
+     * Opens the game; returns false when there are too few keywords for it
+     */
+    open() {
+        const usable = this.game.usable ? this.keywords.filter(kw => this.game.usable(kw)) : this.keywords;
+        if (usable.length < this.game.minWords) return false;
+        this.words = shuffleGameItems(usable).slice(0, this.game.maxWords);
+        this.completed.clear();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4';
+        this.modal.innerHTML = `
+            <div class="bg-white dark:bg-slate-800 rounded-xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-6">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-2">
+                        <span class="material-symbols-outlined text-primary">${this.game.icon}</span>
+                        ${escapeGameHtml(this.game.title)}
+                    </h2>
+                    <button data-game-close class="text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200">
+                        <span class="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+                <p class="text-slate-600 dark:text-slate-400 mb-6">${escapeGameHtml(this.game.description)}</p>
+                <div data-game-body></div>
+                <div data-game-result class="mt-4 hidden"></div>
+            </div>
+        `;
+        this.modal.querySelector('[data-game-close]').addEventListener('click', () => this.close());
+        document.body.appendChild(this.modal);
+
+        this.game.start(this.words, this.modal.querySelector('[data-game-body]'), this);
+        return true;
+    }
+
+    close() {
+        if (this.modal) this.modal.remove();
+        this.modal = null;
+    }
+
+    complete(kw) {
+        const term = keywordTerm(kw);
+        if (!term || this.completed.has(term)) return;
+        this.completed.add(term);
+        if (this.onWordCompleted) this.onWordCompleted(kw, this.game.id);
+    }
+
+    finish(correct, total) {
+        const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
+        const stars = total > 0 ? Math.round((correct / total) * 5) : 0;
+        const starDisplay = '⭐'.repeat(stars) + '☆'.repeat(5 - stars);
+
+        const result = this.modal.querySelector('[data-game-result]');
+        result.className = 'mt-4 p-4 rounded-lg text-center';
+        if (correct === total) {
+            result.className += ' bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-200';
+            result.innerHTML = `
+                <div class="text-4xl mb-2">${starDisplay}</div>
+                <div class="text-2xl font-bold mb-2">${percentage}%</div>
+                <div class="font-bold mb-4">Perfect! You got all ${total} correct! 🎉</div>
+            `;
+        } else {
+            result.className += ' bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200';
+            result.innerHTML = `
+                <div class="text-4xl mb-2">${starDisplay}</div>
+                <div class="text-2xl font-bold mb-2">${percentage}%</div>
+                <div class="font-bold mb-4">You got ${correct} out of ${total} correct. Keep learning!</div>
+            `;
+        }
+        result.insertAdjacentHTML('beforeend', `
+            <div class="flex gap-4">
+                <button data-game-retry class="${KEYWORD_GAME_BUTTON_CLASSES} bg-primary text-white hover:bg-primary/90">
+                    <span class="material-symbols-outlined">refresh</span>
+                    Play Again
+                </button>
+                <button data-game-return class="${KEYWORD_GAME_BUTTON_CLASSES} bg-slate-200 dark:bg-slate-700 text-slate-900 dark:text-white hover:bg-slate-300 dark:hover:bg-slate-600">
+                    <span class="material-symbols-outlined">arrow_back</span>
+                    Return
+                </button>
+            </div>
+        `);
+        result.querySelector('[data-game-retry]').addEventListener('click', () => {
+            this.close();
+            this.open();
+        });
+        result.querySelector('[data-game-return]').addEventListener('click', () => this.close());
+        result.classList.remove('hidden');
+        result.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * One button per registered game; onPick(gameId) starts it
+ */
+function renderKeywordGameButtons(container, onPick) {
+    container.innerHTML = Object.values(KEYWORD_GAMES).map(game => `
+        <button data-game="${game.id}" class="cursor-pointer flex flex-col items-center justify-center gap-1 rounded-lg p-3 bg-primary/10 text-primary text-sm font-bold hover:bg-primary/20" title="${escapeGameHtml(game.description)}">
+            <span class="material-symbols-outlined">${game.icon}</span>
+            ${escapeGameHtml(game.title)}
+        </button>
+    `).join('');
+    container.querySelectorAll('[data-game]').forEach(button => {
+        button.addEventListener('click', () => onPick(button.dataset.game));
+    });
+}
+
+// ========== MATCHING ==========
+registerKeywordGame('matching', {
+    title: 'Match Keywords with Meanings',
+    icon: 'join_inner',
+    description: 'Match each keyword with its correct explanation:',
+    minWords: 2,
+    maxWords: 5,
+    usable: kw => keywordTerm(kw) && keywordExplanation(kw),
+    start(words, container, session) {
+        const meanings = shuffleGameItems(words.map((kw, i) => ({ index: i, text: keywordExplanation(kw) })));
+        container.innerHTML = `
+            <div class="space-y-4">
+                ${words.map((kw, i) => `
+                    <div class="flex gap-4 items-center" data-word-index="${i}">
+                        <div class="flex-1 bg-primary/10 text-primary font-bold px-4 py-3 rounded-lg text-center">
+                            ${escapeGameHtml(keywordTerm(kw))}
+                        </div>
+                        <select class="flex-1 px-4 py-3 rounded-lg border-2 border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white">
+                            <option value="">Select meaning...</option>
+                            ${meanings.map(meaning => `<option value="${meaning.index}">${escapeGameHtml(meaning.text)}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="mt-6 flex gap-4">
+                <button data-check class="${KEYWORD_GAME_BUTTON_CLASSES} bg-primary text-white hover:bg-primary/90">Check Answers</button>
+            </div>
+        `;
+
+        container.querySelector('[data-check]').addEventListener('click', event => {
+            let correct = 0;
+            container.querySelectorAll('[data-word-index]').forEach(row => {
+                const index = Number(row.dataset.wordIndex);
+                const select = row.querySelector('select');
+                const isCorrect = select.value === String(index);
+                select.disabled = true;
+                select.classList.remove('border-slate-300', 'dark:border-slate-600');
+                select.classList.add(isCorrect ? 'border-green-500' : 'border-red-500');
+                if (isCorrect) {
+                    correct++;
+                    session.complete(words[index]);
+                }
+            });
+            event.currentTarget.parentElement.remove();
+            session.finish(correct, words.length);
+        });
+    }
+});
+
+// ========== FLASHCARDS ==========
+registerKeywordGame('flashcards', {
+    title: 'Flashcards',
+    icon: 'style',
+    description: 'Read the word, say what it means, then flip the card to check.',
+    minWords: 1,
+    maxWords: 8,
+    usable: kw => keywordTerm(kw) && keywordExplanation(kw),
+    start(words, container, session) {
+        let position = 0;
+        let known = 0;
+
+        const show = () => {
+            const kw = words[position];
+            container.innerHTML = `
+                <p class="text-xs font-semibold text-slate-500 dark:text-slate-400 text-center mb-3">Card ${position + 1} of ${words.length}</p>
+                <button data-card class="w-full min-h-[180px] rounded-xl border-2 border-primary/30 bg-primary/5 p-6 flex flex-col items-center justify-center gap-3 transition-transform duration-300" title="Flip card">
+                    <span data-front class="text-3xl font-bold text-slate-900 dark:text-white">${escapeGameHtml(keywordTerm(kw))}</span>
+                    <span data-back class="hidden text-lg text-slate-700 dark:text-slate-200">${escapeGameHtml(keywordExplanation(kw))}</span>
+                    <span data-hint class="text-xs text-slate-500 dark:text-slate-400">Tap to flip</span>
+                </button>
+                <div data-grade class="hidden mt-4 grid grid-cols-2 gap-4">
+                    <button data-known="false" class="rounded-lg py-3 font-bold bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200 hover:opacity-80">🤔 Still learning</button>
+                    <button data-known="true" class="rounded-lg py-3 font-bold bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200 hover:opacity-80">😄 I knew it</button>
+                </div>
+            `;
+
+            const card = container.querySelector('[data-card]');
+            card.addEventListener('click', () => {
+                // Half turn, swap faces, turn back
+                card.style.transform = 'rotateY(90deg)';
+                setTimeout(() => {
+                    ['[data-front]', '[data-back]'].forEach(face => card.querySelector(face).classList.toggle('hidden'));
+                    card.querySelector('[data-hint]').classList.add('hidden');
+                    card.style.transform = '';
+                    container.querySelector('[data-grade]').classList.remove('hidden');
+                }, 150);
+            });
+            container.querySelectorAll('[data-known]').forEach(button => {
+                button.addEventListener('click', () => {
+                    if (button.dataset.known === 'true') {
+                        known++;
+                        session.complete(kw);
+                    }
+                    position++;
+                    if (position < words.length) {
+                        show();
+                    } else {
+                        container.innerHTML = '';
+                        session.finish(known, words.length);
+                    }
+                });
+            });
+        };
+
+        show();
+    }
+});
+
+// ========== SPELLING ==========
+function normalizeSpelling(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+registerKeywordGame('spelling', {
+    title: 'Spelling Challenge',
+    icon: 'spellcheck',
+    description: 'Read the meaning and type the keyword it describes.',
+    minWords: 1,
+    maxWords: 5,
+    usable: kw => keywordTerm(kw) && keywordExplanation(kw),
+    start(words, container, session) {
+        let position = 0;
+        let correct = 0;
+
+        const show = () => {
+            const kw = words[position];
+            const term = keywordTerm(kw);
+            // Hide the word itself if the explanation uses it
+            const clue = keywordExplanation(kw).replace(new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '_____');
+            // First letter of every word, blanks for the rest
+            const hint = term.split(/(\s+)/).map(part => /\s/.test(part) ? '   ' : part.charAt(0) + ' _'.repeat(part.length - 1)).join('');
+
+            container.innerHTML = `
+                <p class="text-xs font-semibold text-slate-500 dark:text-slate-400 mb-3">Word ${position + 1} of ${words.length}</p>
+                <p class="text-lg text-slate-800 dark:text-slate-100 mb-3">${escapeGameHtml(clue)}</p>
+                <p class="font-mono text-primary tracking-wider mb-4 whitespace-pre">${escapeGameHtml(hint)}</p>
+                <form data-spell class="flex gap-3">
+                    <input type="text" autocomplete="off" autocapitalize="off" spellcheck="false" class="flex-1 px-4 py-3 rounded-lg border-2 border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Type the word"/>
+                    <button type="submit" class="px-6 py-3 rounded-lg font-bold bg-primary text-white hover:bg-primary/90">Check</button>
+                </form>
+                <div data-feedback class="hidden mt-4 p-3 rounded-lg font-semibold"></div>
+            `;
+
+            const form = container.querySelector('[data-spell]');
+            const input = form.querySelector('input');
+            input.focus();
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                if (!input.value.trim()) return;
+                const isCorrect = normalizeSpelling(input.value) === normalizeSpelling(term);
+                input.disabled = true;
+                form.querySelector('button').remove();
+                input.classList.remove('border-slate-300', 'dark:border-slate-600');
+                input.classList.add(isCorrect ? 'border-green-500' : 'border-red-500');
+                if (isCorrect) {
+                    correct++;
+                    session.complete(kw);
+                }
+
+                const feedback = container.querySelector('[data-feedback]');
+                feedback.className = `mt-4 p-3 rounded-lg font-semibold flex items-center justify-between gap-4 ${isCorrect
+                    ? 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-200'
+                    : 'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200'}`;
+                feedback.innerHTML = `
+                    <span>${isCorrect ? '✅ Correct!' : `It's spelled: <strong>${escapeGameHtml(term)}</strong>`}</span>
+                    <button data-next class="px-4 py-2 rounded-lg bg-primary text-white">${position < words.length - 1 ? 'Next →' : 'Finish'}</button>
+                `;
+                feedback.querySelector('[data-next]').addEventListener('click', () => {
+                    position++;
+                    if (position < words.length) {
+                        show();
+                    } else {
+                        container.innerHTML = '';
+                        session.finish(correct, words.length);
+                    }
+                });
+            });
+        };
+
+        show();
+    }
+});
+
+// ========== WORD SEARCH ==========
+const WORD_SEARCH_MIN_SIZE = 10;
+const WORD_SEARCH_MAX_WORD = 12;
+const WORD_SEARCH_LETTERS = 'ABCDEFGHIJKLMNOPRSTUVWY';
+// right, down, diagonal down-right, diagonal up-right
+const WORD_SEARCH_DIRECTIONS = [[0, 1], [1, 0], [1, 1], [-1, 1]];
+
+function wordSearchLetters(kw) {
+    return keywordTerm(kw).toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Place words in a square grid: { size, grid: [[letter]], placements: [{ word, cells: [[row, col]] }] }.
+ * Words that do not fit after many tries are left out.
+ */
+function generateWordSearch(words, random = Math.random) {
+    const size = Math.max(WORD_SEARCH_MIN_SIZE, ...words.map(word => word.length));
+    const grid = Array.from({ length: size }, () => Array(size).fill(null));
+    const placements = [];
+
+    // Longest first: they are the hardest to fit
+    [...words].sort((a, b) => b.length - a.length).forEach(word => {
+        for (let attempt = 0; attempt < 200; attempt++) {
+            const [dr, dc] = WORD_SEARCH_DIRECTIONS[Math.floor(random() * WORD_SEARCH_DIRECTIONS.length)];
+            const row = Math.floor(random() * size);
+            const col = Math.floor(random() * size);
+            const cells = [...word].map((_, i) => [row + dr * i, col + dc * i]);
+            const fits = cells.every(([r, c], i) => r >= 0 && r < size && c >= 0 && c < size
+                && (grid[r][c] === null || grid[r][c] === word[i]));
+            if (!fits) continue;
+            cells.forEach(([r, c], i) => { grid[r][c] = word[i]; });
+            placements.push({ word, cells });
+            return;
+        }
+    });
+
+    grid.forEach(row => row.forEach((letter, c) => {
+        if (letter === null) row[c] = WORD_SEARCH_LETTERS[Math.floor(random() * WORD_SEARCH_LETTERS.length)];
+    }));
+    return { size, grid, placements };
+}
+
+registerKeywordGame('word_search', {
+    title: 'Word Search',
+    icon: 'grid_on',
+    description: 'Find the keywords in the grid: tap the first letter, then the last letter.',
+    minWords: 2,
+    maxWords: 6,
+    usable: kw => {
+        const letters = wordSearchLetters(kw);
+        return letters.length >= 3 && letters.length <= WORD_SEARCH_MAX_WORD;
+    },
+    start(words, container, session) {
+        const byLetters = new Map(words.map(kw => [wordSearchLetters(kw), kw]));
+        const puzzle = generateWordSearch([...byLetters.keys()]);
+        const found = new Set();
+        let anchor = null;
+
+        container.innerHTML = `
+            <div class="flex flex-col md:flex-row gap-6 items-start">
+                <div data-grid class="grid gap-1 select-none mx-auto" style="grid-template-columns: repeat(${puzzle.size}, minmax(0, 1fr));">
+                    ${puzzle.grid.map((row, r) => row.map((letter, c) => `
+                        <button data-cell="${r},${c}" class="w-7 h-7 md:w-8 md:h-8 rounded text-sm font-bold text-slate-800 dark:text-slate-100 bg-slate-100 dark:bg-slate-700 hover:bg-primary/20">${letter}</button>
+                    `).join('')).join('')}
+                </div>
+                <ul data-words class="space-y-2 text-sm min-w-[140px]">
+                    ${puzzle.placements.map(placement => `
+                        <li data-word="${placement.word}" class="font-semibold text-slate-700 dark:text-slate-200" title="${escapeGameHtml(keywordExplanation(byLetters.get(placement.word)))}">${escapeGameHtml(keywordTerm(byLetters.get(placement.word)))}</li>
+                    `).join('')}
+                </ul>
+            </div>
+            <div class="mt-6 flex gap-4">
+                <button data-give-up class="${KEYWORD_GAME_BUTTON_CLASSES} bg-slate-200 dark:bg-slate-700 text-slate-900 dark:text-white hover:bg-slate-300 dark:hover:bg-slate-600">Show Answers</button>
+            </div>
+        `;
+
+        const cell = ([r, c]) => container.querySelector(`[data-cell="${r},${c}"]`);
+        const mark = (placement, classes) => placement.cells.forEach(position => cell(position).classList.add(...classes));
+
+        const end = () => {
+            container.querySelectorAll('[data-cell]').forEach(button => { button.disabled = true; });
+            const actions = container.querySelector('[data-give-up]');
+            if (actions) actions.parentElement.remove();
+            session.finish(found.size, puzzle.placements.length);
+        };
+
+        // Cells on the straight line from a to b, or null if it is not a line
+        const line = (a, b) => {
+            const dr = Math.sign(b[0] - a[0]);
+            const dc = Math.sign(b[1] - a[1]);
+            const length = Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1]));
+            if ((dr !== 0 && dc !== 0 && Math.abs(b[0] - a[0]) !== Math.abs(b[1] - a[1])) || length === 0) return null;
+            return Array.from({ length: length + 1 }, (_, i) => [a[0] + dr * i, a[1] + dc * i]);
+        };
+
+        container.querySelector('[data-grid]').addEventListener('click', event => {
+            const button = event.target.closest('[data-cell]');
+            if (!button || button.disabled) return;
+            const position = button.dataset.cell.split(',').map(Number);
+
+            if (!anchor) {
+                anchor = position;
+                button.classList.add('ring-2', 'ring-primary');
+                return;
+            }
+            cell(anchor).classList.remove('ring-2', 'ring-primary');
+            const cells = line(anchor, position);
+            anchor = null;
+            if (!cells) return;
+
+            const key = cells.map(p => p.join(',')).join('|');
+            const reversed = [...cells].reverse().map(p => p.join(',')).join('|');
+            const placement = puzzle.placements.find(p => {
+                const placed = p.cells.map(q => q.join(',')).join('|');
+                return !found.has(p.word) && (placed === key || placed === reversed);
+            });
+            if (!placement) return;
+
+            found.add(placement.word);
+            mark(placement, ['bg-green-200', 'dark:bg-green-800']);
+            container.querySelector(`[data-word="${placement.word}"]`).classList.add('line-through', 'text-green-600');
+            session.complete(byLetters.get(placement.word));
+            if (found.size === puzzle.placements.length) end();
+        });
+
+        container.querySelector('[data-give-up]').addEventListener('click', () => {
+            puzzle.placements
+                .filter(placement => !found.has(placement.word))
+                .forEach(placement => mark(placement, ['bg-yellow-200', 'dark:bg-yellow-800']));
+            end();
+        });
+    }
+});
@@ -0,0 +1,182 @@
+/**
+ * Article Narrator - read-aloud player for the article page
+ * Speaks one sentence at a time with the Web Speech API and highlights it.
+ * Sentences are the `.narration-sentence` elements article.html renders for
+ * the summary, background_read and quiz questions. A sentence with a lang
+ * attribute (the bilingual reader's Chinese, lang="zh-CN") is spoken in that
+ * language; hidden ones (Chinese not yet revealed) are skipped.
+ */
+
+const NARRATOR_RATES = [0.75, 1, 1.25, 1.5];
+const NARRATOR_RATE_KEY = 'narrator_rate';
+const NARRATOR_ACTIVE_CLASSES = ['bg-primary/20', 'rounded'];
+
+class ArticleNarrator {
+    constructor({ lang = 'en-US', rate = 1 } = {}) {
+        this.lang = lang;
+        this.rate = parseFloat(localStorage.getItem(NARRATOR_RATE_KEY)) || rate;
+        this.sentences = [];
+        this.index = 0;
+        this.state = 'idle'; // 'idle' | 'playing' | 'paused'
+        this.token = 0;
+        this.voices = new Map(); // lang -> voice, or null when the device has none
+        this.onChange = null;
+
+        this.pickVoice();
+        if ('onvoiceschanged' in speechSynthesis) {
+            speechSynthesis.addEventListener('voiceschanged', () => {
+                this.voices.clear();
+                this.pickVoice();
+            });
+        }
+    }
+
+    static isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * Prefer an exact locale match (zh-CN), then any voice for the language (zh-TW, zh-HK)
+     */
+    pickVoice(lang = this.lang) {
+        const voices = speechSynthesis.getVoices();
+        const language = lang.split('-')[0].toLowerCase();
+        const normalized = voice => voice.lang.replace('_', '-').toLowerCase();
+        const voice = voices.find(v => normalized(v) === lang.toLowerCase())
+            || voices.find(v => normalized(v).startsWith(language))
+            || null;
+        this.voices.set(lang, voice);
+        return voice;
+    }
+
+    voiceFor(lang) {
+        return this.voices.has(lang) ? this.voices.get(lang) : this.pickVoice(lang);
+    }
+
+    /**
+     * Read the sentences inside a container, starting from the first one
+     */
+    load(container) {
+        this.stop();
+        this.sentences = container ? [...container.querySelectorAll('.narration-sentence')] : [];
+        this.index = 0;
+        this.notify();
+        return this.sentences.length;
+    }
+
+    play() {
+        if (this.sentences.length === 0) return;
+        if (this.index >= this.sentences.length) this.index = 0;
+        this.state = 'playing';
+        this.speakCurrent();
+    }
+
+    // speechSynthesis.pause() is unreliable on Android, so pausing cancels and
+    // resuming starts the current sentence again
+    pause() {
+        if (this.state !== 'playing') return;
+        this.token++;
+        speechSynthesis.cancel();
+        this.state = 'paused';
+        this.notify();
+    }
+
+    toggle() {
+        if (this.state === 'playing') this.pause();
+        else this.play();
+    }
+
+    next() {
+        if (this.index < this.sentences.length - 1) this.jump(this.index + 1);
+    }
+
+    previous() {
+        if (this.index > 0) this.jump(this.index - 1);
+    }
+
+    jump(index) {
+        this.index = index;
+        if (this.state === 'playing') {
+            this.speakCurrent();
+        } else {
+            this.highlight(this.sentences[this.index]);
+            this.notify();
+        }
+    }
+
+    stop() {
+        this.token++;
+        if (ArticleNarrator.isSupported()) speechSynthesis.cancel();
+        this.highlight(null);
+        this.state = 'idle';
+        this.index = 0;
+        this.notify();
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        localStorage.setItem(NARRATOR_RATE_KEY, String(rate));
+        // Restart the sentence so the new speed applies right away
+        if (this.state === 'playing') this.speakCurrent();
+        this.notify();
+    }
+
+    speakCurrent() {
+        const token = ++this.token;
+        speechSynthesis.cancel();
+
+        const element = this.sentences[this.index];
+        if (!element) {
+            this.stop();
+            return;
+        }
+        if (!element.getClientRects().length) {
+            this.index++;
+            this.speakCurrent();
+            return;
+        }
+        this.highlight(element);
+        this.notify();
+
+        const text = (element.dataset.narration || element.textContent).trim();
+        const lang = element.lang || this.lang;
+        const voice = this.voiceFor(lang);
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = lang;
+        utterance.rate = this.rate;
+        if (voice) utterance.voice = voice;
+
+        const advance = () => {
+            if (token !== this.token) return;
+            this.index++;
+            if (this.index < this.sentences.length) {
+                this.speakCurrent();
+            } else {
+                this.stop();
+            }
+        };
+        utterance.onend = advance;
+        utterance.onerror = event => {
+            if (token !== this.token || event.error === 'interrupted' || event.error === 'canceled') return;
+            console.warn('Narration error:', event.error);
+            advance();
+        };
+
+        speechSynthesis.speak(utterance);
+    }
+
+    highlight(element) {
+        document.querySelectorAll('.narration-sentence').forEach(el => {
+            el.classList.remove(...NARRATOR_ACTIVE_CLASSES);
+        });
+        if (!element) return;
+        element.classList.add(...NARRATOR_ACTIVE_CLASSES);
+        element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    notify() {
+        if (typeof this.onChange === 'function') this.onChange(this);
+    }
+}
+
+window.ArticleNarrator = ArticleNarrator;
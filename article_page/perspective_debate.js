@@ -0,0 +1,191 @@
+/**
+ * Perspective Debate - "which view do you agree with?"
+ * Turns an article's perspectives into a short activity: the child picks the
+ * view they agree with most, writes why, and is then shown the other views as
+ * counter-perspectives to think about. A saved response opens straight on the
+ * counter-perspectives; "Change my answer" starts again.
+ *
+ *   new PerspectiveDebate(container, perspectives, {
+ *       response,            // the saved { perspective, reason }, or null
+ *       onRespond(response), // save a new response
+ *       loadTally            // optional () => Promise of [{ perspective, votes }]
+ *   }).render();             //   from the child's classes, or null when signed out
+ *
+ * Uses escapeHtml() from data_source/news_data.js.
+ */
+
+const DEBATE_REASON_MIN = 10;
+const DEBATE_REASON_MAX = 400;
+
+class PerspectiveDebate {
+    constructor(container, perspectives, { response = null, onRespond = () => {}, loadTally = null } = {}) {
+        this.container = container;
+        this.perspectives = perspectives
+            .map(p => ({ name: p.perspective || p.viewpoint || '', description: p.description || p.content || '' }))
+            .filter(p => p.name);
+        this.onRespond = onRespond;
+        this.loadTally = loadTally;
+
+        const saved = response ? this.perspectives.findIndex(p => p.name === response.perspective) : -1;
+        this.choice = saved >= 0 ? saved : null;
+        this.reason = saved >= 0 ? response.reason || '' : '';
+        this.answered = saved >= 0;
+
+        this.container.addEventListener('click', e => this.handleClick(e));
+        this.container.addEventListener('input', e => this.handleInput(e));
+    }
+
+    /**
+     * A debate needs at least two views to choose between
+     */
+    static usable(perspectives) {
+        return (perspectives || []).filter(p => p && (p.perspective || p.viewpoint)).length >= 2;
+    }
+
+    render() {
+        if (this.answered) this.renderCounter();
+        else this.renderPick();
+    }
+
+    renderPick() {
+        this.container.innerHTML = `
+            <p class="text-slate-600 dark:text-slate-300 text-sm font-medium mb-4">Which view do you agree with most? Pick one, then tell us why.</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+                ${this.perspectives.map((p, index) => `
+                    <button type="button" data-debate-choice="${index}" class="text-left p-4 rounded-lg border-2 transition-colors ${index === this.choice
+                        ? 'border-primary bg-primary/10'
+                        : 'border-slate-200 dark:border-slate-600 hover:border-primary/50'}">
+                        <p class="font-bold text-slate-900 dark:text-white">${escapeHtml(p.name)}</p>
+                        <p class="text-sm text-slate-600 dark:text-slate-300 mt-1">${escapeHtml(p.description)}</p>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="${this.choice === null ? 'hidden' : 'flex'} flex-col gap-2">
+                <label class="text-slate-600 dark:text-slate-300 text-sm font-medium" for="debate-reason">Why do you agree with this view?</label>
+                <textarea id="debate-reason" data-debate-reason maxlength="${DEBATE_REASON_MAX}" rows="3" placeholder="I agree because..." class="w-full rounded-lg border-slate-300 dark:border-slate-600 bg-background-light dark:bg-background-dark text-slate-800 dark:text-slate-200 placeholder:text-slate-400 dark:placeholder:text-slate-500 focus:border-primary focus:ring-primary border p-3">${escapeHtml(this.reason)}</textarea>
+                <div class="flex items-center justify-between gap-4">
+                    <span data-debate-count class="text-xs text-slate-500 dark:text-slate-400"></span>
+                    <button type="button" data-debate-submit class="flex max-w-[200px] cursor-pointer items-center justify-center rounded-lg h-10 px-5 bg-primary text-white gap-2 text-sm font-bold hover:bg-primary/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">Share My View</button>
+                </div>
+            </div>
+        `;
+        this.updateReasonCount();
+    }
+
+    renderCounter() {
+        const chosen = this.perspectives[this.choice];
+        const others = this.perspectives.filter((p, index) => index !== this.choice);
+        this.container.innerHTML = `
+            <div class="p-4 rounded-lg bg-primary/10 border border-primary/30 mb-6">
+                <p class="text-sm text-slate-600 dark:text-slate-300">You agreed with</p>
+                <p class="font-bold text-slate-900 dark:text-white text-lg">${escapeHtml(chosen.name)}</p>
+                ${this.reason ? `<p class="mt-2 text-slate-700 dark:text-slate-200 italic">“${escapeHtml(this.reason)}”</p>` : ''}
+            </div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1">Now look at it from the other side</h3>
+            <p class="text-sm text-slate-600 dark:text-slate-300 mb-4">What would someone who holds each of these views say to you? Is there anything they have a point about?</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+                ${others.map(p => `
+                    <div class="p-4 rounded-lg border border-slate-200 dark:border-slate-600">
+                        <p class="font-bold text-slate-900 dark:text-white flex items-center gap-2">
+                            <span class="material-symbols-outlined text-amber-500 text-lg">forum</span>
+                            ${escapeHtml(p.name)}
+                        </p>
+                        <p class="text-sm text-slate-600 dark:text-slate-300 mt-1">${escapeHtml(p.description)}</p>
+                    </div>
+                `).join('')}
+            </div>
+            <div data-debate-tally class="mb-4"></div>
+            <button type="button" data-debate-restart class="inline-flex items-center gap-1 text-sm font-semibold text-primary hover:text-primary/80">
+                <span class="material-symbols-outlined text-lg">restart_alt</span>
+                Change my answer
+            </button>
+        `;
+        this.showTally();
+    }
+
+    async showTally() {
+        if (!this.loadTally) return;
+        const target = this.container.querySelector('[data-debate-tally]');
+        let tally;
+        try {
+            tally = await this.loadTally();
+        } catch (error) {
+            console.warn('Class tally unavailable:', error.message || error);
+            return;
+        }
+        // The activity may have been restarted while the tally loaded
+        if (!target.isConnected) return;
+        if (tally === null) {
+            target.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400">Log in and join your class to see how your classmates voted.</p>';
+            return;
+        }
+        const total = tally.reduce((sum, row) => sum + row.votes, 0);
+        if (total === 0) return;
+
+        const votes = new Map(tally.map(row => [row.perspective, row.votes]));
+        target.innerHTML = `
+            <h3 class="font-bold text-slate-900 dark:text-white mb-3">How your class voted <span class="text-sm font-normal text-slate-500 dark:text-slate-400">(${total} answer${total === 1 ? '' : 's'})</span></h3>
+            <div class="space-y-3">
+                ${this.perspectives.map((p, index) => {
+                    const count = votes.get(p.name) || 0;
+                    const percentage = Math.round((count / total) * 100);
+                    return `
+                        <div>
+                            <div class="flex justify-between mb-1 text-sm">
+                                <span class="font-semibold text-slate-800 dark:text-slate-200">${escapeHtml(p.name)}${index === this.choice ? ' (you)' : ''}</span>
+                                <span class="text-slate-500 dark:text-slate-400">${count} · ${percentage}%</span>
+                            </div>
+                            <div class="w-full bg-slate-200 dark:bg-slate-700 rounded-full h-2.5">
+                                <div class="${index === this.choice ? 'bg-primary' : 'bg-slate-400'} h-2.5 rounded-full" style="width: ${percentage}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const choice = e.target.closest('[data-debate-choice]');
+        if (choice) {
+            this.choice = Number(choice.dataset.debateChoice);
+            this.renderPick();
+            this.container.querySelector('[data-debate-reason]').focus();
+            return;
+        }
+        if (e.target.closest('[data-debate-submit]')) {
+            this.submit();
+            return;
+        }
+        if (e.target.closest('[data-debate-restart]')) {
+            this.answered = false;
+            this.renderPick();
+        }
+    }
+
+    handleInput(e) {
+        if (!e.target.matches('[data-debate-reason]')) return;
+        this.reason = e.target.value;
+        this.updateReasonCount();
+    }
+
+    updateReasonCount() {
+        const count = this.container.querySelector('[data-debate-count]');
+        const submit = this.container.querySelector('[data-debate-submit]');
+        if (!count || !submit) return;
+        const length = this.reason.trim().length;
+        count.textContent = length < DEBATE_REASON_MIN
+            ? `Write at least ${DEBATE_REASON_MIN - length} more character${DEBATE_REASON_MIN - length === 1 ? '' : 's'}`
+            : `${length}/${DEBATE_REASON_MAX}`;
+        submit.disabled = this.choice === null || length < DEBATE_REASON_MIN;
+    }
+
+    submit() {
+        const reason = this.reason.trim();
+        if (this.choice === null || reason.length < DEBATE_REASON_MIN) return;
+        this.reason = reason;
+        this.answered = true;
+        this.onRespond({ perspective: this.perspectives[this.choice].name, reason });
+        this.renderCounter();
+    }
+}
@@ -0,0 +1,458 @@
+/**
+ * Quiz Types - question formats for the article page quiz
+ * A payload question may declare a `type`; questions without one are the
+ * original multiple choice, so existing payloads keep working unchanged.
+ *
+ *   multiple_choice  { question, options: [...], correct_answer }
+ *                    correct_answer is the option text or a letter (A = options[0])
+ *   true_false       { type, question, correct_answer: true | false | "True" | "False" }
+ *   fill_blank       { type, correct_answer, question?, sentence?, options? }
+ *                    sentence marks the blank with "___"; without one, the summary
+ *                    sentence containing the answer is used. options make a word
+ *                    bank, otherwise the answer is typed
+ *   ordering         { type, question, items: [...] } with items in the correct order
+ *   matching         { type, question?, pairs?: [{ term, match }] }
+ *                    without pairs, the article's keywords and explanations are used
+ *
+ * Every type implements:
+ *   prepare(raw, { summary, keywords }) -> question for the page, or null if unusable
+ *   render(question, element, onAnswer) -> answer controls; onAnswer(answer) on change
+ *   narration(question) -> text read aloud after the question
+ *   check(question, answer) -> boolean (one point per question)
+ *   describe(question, answer) / solution(question) -> answers as text for review
+ *   evidenceText(question) -> words to look for in the article, besides the question
+ *   reveal(question, answer, element) -> show right/wrong and lock the controls
+ */
+
+const QUIZ_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const QUIZ_OPTION_CLASSES = 'quiz-option w-full text-left px-3 py-2 rounded-lg border-2 border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors text-xs flex gap-2';
+const QUIZ_CORRECT_CLASSES = ['border-green-500', 'bg-green-100', 'dark:bg-green-900/30'];
+const QUIZ_WRONG_CLASSES = ['border-red-500', 'bg-red-100', 'dark:bg-red-900/30'];
+const QUIZ_BLANK = '_____';
+const MATCHING_PAIRS = 4;
+const EVIDENCE_MIN_SCORE = 2;
+// Words too common to say which sentence supports an answer
+const EVIDENCE_STOPWORDS = new Set(('the and for are was were has have had this that with from what which who whom whose ' +
+    'when where why how did does not but its their they them his her she him you your our into than then there these those ' +
+    'about after before will would could should can may also been being said says true false').split(' '));
+
+function shuffleQuizItems(items) {
+    return [...items].sort(() => Math.random() - 0.5);
+}
+
+// Typed answers ignore case, surrounding spaces and punctuation
+function normalizeQuizText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s'-]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeQuizRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Option buttons shared by the choice-style types; the chosen one is outlined
+ */
+function renderQuizChoices(element, options, onAnswer, { labels = true } = {}) {
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'space-y-1';
+
+    options.forEach((opt, optIndex) => {
+        const btn = document.createElement('button');
+        btn.className = QUIZ_OPTION_CLASSES;
+        btn.dataset.optionText = opt;
+
+        if (labels) {
+            const label = document.createElement('span');
+            label.className = 'font-bold text-primary';
+            label.textContent = `${QUIZ_LABELS[optIndex]}.`;
+            btn.appendChild(label);
+        }
+        const text = document.createElement('span');
+        text.textContent = opt;
+        btn.appendChild(text);
+
+        btn.onclick = () => {
+            optionsDiv.querySelectorAll('.quiz-option').forEach(other => {
+                const chosen = other === btn;
+                other.classList.toggle('border-primary', chosen);
+                other.classList.toggle('bg-primary/10', chosen);
+                other.classList.toggle('border-slate-300', !chosen);
+            });
+            onAnswer(opt);
+        };
+        optionsDiv.appendChild(btn);
+    });
+
+    element.appendChild(optionsDiv);
+}
+
+function revealQuizChoices(element, correctAnswer, answer) {
+    element.querySelectorAll('.quiz-option').forEach(btn => {
+        const option = btn.dataset.optionText;
+        btn.onclick = null; // Disable clicking
+        btn.classList.remove('border-slate-300', 'border-slate-600', 'border-primary', 'bg-primary/10');
+        if (option === correctAnswer) {
+            btn.classList.add(...QUIZ_CORRECT_CLASSES);
+        } else if (option === answer) {
+            btn.classList.add(...QUIZ_WRONG_CLASSES);
+        }
+    });
+}
+
+function quizAnswerNote(element, text) {
+    const note = document.createElement('p');
+    note.className = 'quiz-answer-note text-xs font-semibold text-green-700 dark:text-green-300';
+    note.textContent = text;
+    element.appendChild(note);
+}
+
+const QUIZ_TYPES = {
+    multiple_choice: {
+        prepare(raw) {
+            const options = (raw.options || []).filter(opt => typeof opt === 'string' && opt);
+            if (!raw.question || options.length < 2) return null;
+
+            // "correct_answer": "A" means options[0], "B" means options[1], etc.
+            // It must be resolved against the ORIGINAL order, before shuffling
+            let correctAnswer = raw.correct_answer;
+            if (correctAnswer && correctAnswer.length === 1 && /[A-D]/i.test(correctAnswer)) {
+                correctAnswer = options[QUIZ_LABELS.indexOf(correctAnswer.toUpperCase())];
+            }
+            if (!options.includes(correctAnswer)) {
+                console.warn('Quiz: correct_answer is not one of the options, skipping', raw);
+                return null;
+            }
+
+            return { question: raw.question, options: shuffleQuizItems(options), correctAnswer };
+        },
+        render(q, element, onAnswer) {
+            renderQuizChoices(element, q.options, onAnswer);
+        },
+        narration(q) {
+            return q.options.map((opt, optIndex) => `${QUIZ_LABELS[optIndex]}. ${opt}`).join(' ');
+        },
+        check(q, answer) {
+            return answer === q.correctAnswer;
+        },
+        describe(q, answer) {
+            return answer || 'No answer';
+        },
+        solution(q) {
+            return q.correctAnswer;
+        },
+        evidenceText(q) {
+            return q.correctAnswer;
+        },
+        reveal(q, answer, element) {
+            revealQuizChoices(element, q.correctAnswer, answer);
+        }
+    },
+
+    true_false: {
+        prepare(raw) {
+            const value = String(raw.correct_answer).trim().toLowerCase();
+            const correctAnswer = ['true', 't', 'yes'].includes(value) ? 'True'
+                : (['false', 'f', 'no'].includes(value) ? 'False' : null);
+            if (!raw.question || !correctAnswer) return null;
+            return { question: raw.question, options: ['True', 'False'], correctAnswer };
+        },
+        render(q, element, onAnswer) {
+            renderQuizChoices(element, q.options, onAnswer, { labels: false });
+        },
+        narration() {
+            return 'True or false?';
+        },
+        check(q, answer) {
+            return answer === q.correctAnswer;
+        },
+        describe(q, answer) {
+            return answer || 'No answer';
+        },
+        solution(q) {
+            return q.correctAnswer;
+        },
+        evidenceText() {
+            return ''; // the statement itself is what the article confirms or contradicts
+        },
+        reveal(q, answer, element) {
+            revealQuizChoices(element, q.correctAnswer, answer);
+        }
+    },
+
+    fill_blank: {
+        prepare(raw, { summary = '' } = {}) {
+            const answer = String(raw.correct_answer || '').trim();
+            if (!answer) return null;
+
+            const pattern = new RegExp(`\\b${escapeQuizRegExp(answer)}\\b`, 'i');
+            let sentence = raw.sentence;
+            if (!sentence) {
+                const source = (summary.match(/[^.!?]+[.!?]+["'”’]?|[^.!?]+$/g) || [])
+                    .map(s => s.trim())
+                    .find(s => pattern.test(s));
+                if (!source) return null;
+                sentence = source.replace(pattern, QUIZ_BLANK);
+            }
+            sentence = sentence.replace(/_{3,}/, QUIZ_BLANK);
+            if (!sentence.includes(QUIZ_BLANK)) return null;
+
+            const options = (raw.options || []).filter(opt => typeof opt === 'string' && opt);
+            return {
+                question: raw.question || 'Fill in the blank:',
+                sentence,
+                options: options.length >= 2 ? shuffleQuizItems(options.includes(answer) ? options : [...options, answer]) : [],
+                correctAnswer: answer
+            };
+        },
+        render(q, element, onAnswer) {
+            const sentence = document.createElement('p');
+            sentence.className = 'text-sm italic text-slate-700 dark:text-slate-300';
+            sentence.textContent = q.sentence;
+            element.appendChild(sentence);
+
+            if (q.options.length) {
+                renderQuizChoices(element, q.options, onAnswer);
+                return;
+            }
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.autocomplete = 'off';
+            input.placeholder = 'Type the missing word';
+            input.className = 'quiz-blank w-full text-sm rounded-lg border-2 border-slate-300 dark:border-slate-600 bg-background-light dark:bg-background-dark px-3 py-2';
+            input.addEventListener('input', () => onAnswer(input.value.trim() ? input.value : null));
+            element.appendChild(input);
+        },
+        narration(q) {
+            return q.sentence.replace(QUIZ_BLANK, 'blank');
+        },
+        check(q, answer) {
+            return normalizeQuizText(answer) === normalizeQuizText(q.correctAnswer);
+        },
+        describe(q, answer) {
+            return answer || 'No answer';
+        },
+        solution(q) {
+            return q.correctAnswer;
+        },
+        evidenceText(q) {
+            return q.sentence.replace(QUIZ_BLANK, q.correctAnswer);
+        },
+        reveal(q, answer, element) {
+            if (q.options.length) {
+                revealQuizChoices(element, q.correctAnswer, answer);
+                return;
+            }
+            const input = element.querySelector('.quiz-blank');
+            const correct = this.check(q, answer);
+            input.disabled = true;
+            input.classList.remove('border-slate-300', 'dark:border-slate-600');
+            input.classList.add(...(correct ? QUIZ_CORRECT_CLASSES : QUIZ_WRONG_CLASSES));
+            if (!correct) quizAnswerNote(element, `Answer: ${q.correctAnswer}`);
+        }
+    },
+
+    ordering: {
+        prepare(raw) {
+            const items = [...new Set((raw.items || []).filter(item => typeof item === 'string' && item))];
+            if (!raw.question || items.length < 2) return null;
+
+            // Never start with the answer already showing
+            let order = shuffleQuizItems(items);
+            while (order.every((item, i) => item === items[i])) order = shuffleQuizItems(items);
+            return { question: raw.question, items, order };
+        },
+        render(q, element, onAnswer) {
+            const order = [...q.order];
+            const list = document.createElement('ol');
+            list.className = 'quiz-ordering space-y-1';
+            element.appendChild(list);
+
+            const hint = document.createElement('p');
+            hint.className = 'text-xs text-slate-500 dark:text-slate-400';
+            hint.textContent = 'Use the arrows to put the events in order, first at the top.';
+            element.insertBefore(hint, list);
+
+            const move = (from, to) => {
+                [order[from], order[to]] = [order[to], order[from]];
+                draw();
+                onAnswer([...order]);
+            };
+            const arrow = (icon, title, enabled, action) => {
+                const btn = document.createElement('button');
+                btn.className = 'quiz-move p-1 rounded text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-30';
+                btn.title = title;
+                btn.disabled = !enabled;
+                btn.innerHTML = `<span class="material-symbols-outlined text-base">${icon}</span>`;
+                btn.onclick = action;
+                return btn;
+            };
+            const draw = () => {
+                list.innerHTML = '';
+                order.forEach((item, i) => {
+                    const row = document.createElement('li');
+                    row.className = 'quiz-order-item flex items-center gap-2 px-3 py-1 rounded-lg border-2 border-slate-300 dark:border-slate-600 text-xs';
+                    row.dataset.item = item;
+
+                    const number = document.createElement('span');
+                    number.className = 'font-bold text-primary';
+                    number.textContent = `${i + 1}.`;
+                    const text = document.createElement('span');
+                    text.className = 'flex-1';
+                    text.textContent = item;
+
+                    row.append(number, text,
+                        arrow('arrow_upward', 'Move up', i > 0, () => move(i, i - 1)),
+                        arrow('arrow_downward', 'Move down', i < order.length - 1, () => move(i, i + 1)));
+                    list.appendChild(row);
+                });
+            };
+
+            draw();
+            onAnswer([...order]);
+        },
+        narration(q) {
+            return q.order.map((item, i) => `${i + 1}. ${item}`).join(' ');
+        },
+        check(q, answer) {
+            return Array.isArray(answer) && answer.length === q.items.length && answer.every((item, i) => item === q.items[i]);
+        },
+        describe(q, answer) {
+            return (answer || q.order).join(' → ');
+        },
+        solution(q) {
+            return q.items.join(' → ');
+        },
+        evidenceText(q) {
+            return q.items.join(' ');
+        },
+        reveal(q, answer, element) {
+            element.querySelectorAll('.quiz-move').forEach(btn => btn.remove());
+            element.querySelectorAll('.quiz-order-item').forEach((row, i) => {
+                const inPlace = row.dataset.item === q.items[i];
+                row.classList.remove('border-slate-300', 'dark:border-slate-600');
+                row.classList.add(...(inPlace ? QUIZ_CORRECT_CLASSES : QUIZ_WRONG_CLASSES));
+                if (!inPlace) {
+                    const hint = document.createElement('span');
+                    hint.className = 'text-slate-500 dark:text-slate-400';
+                    hint.textContent = `→ #${q.items.indexOf(row.dataset.item) + 1}`;
+                    row.appendChild(hint);
+                }
+            });
+        }
+    },
+
+    matching: {
+        prepare(raw, { keywords = [] } = {}) {
+            const pairs = (raw.pairs || shuffleQuizItems(keywords).slice(0, MATCHING_PAIRS).map(kw => ({
+                term: kw.term || kw.title,
+                match: kw.explanation || kw.description
+            }))).filter(pair => pair && pair.term && pair.match);
+            if (pairs.length < 2) return null;
+
+            return {
+                question: raw.question || 'Match each word with its meaning:',
+                pairs,
+                matches: shuffleQuizItems(pairs.map(pair => pair.match))
+            };
+        },
+        render(q, element, onAnswer) {
+            const chosen = {};
+            q.pairs.forEach(pair => {
+                const row = document.createElement('label');
+                row.className = 'quiz-match flex flex-col gap-1 text-xs';
+                row.dataset.term = pair.term;
+
+                const term = document.createElement('span');
+                term.className = 'font-bold text-slate-900 dark:text-white';
+                term.textContent = pair.term;
+
+                const select = document.createElement('select');
+                select.className = 'quiz-match-select w-full text-xs rounded-lg border-2 border-slate-300 dark:border-slate-600 bg-background-light dark:bg-background-dark py-1';
+                select.innerHTML = '<option value="">Choose a meaning...</option>';
+                q.matches.forEach(match => {
+                    const option = document.createElement('option');
+                    option.value = match;
+                    option.textContent = match;
+                    select.appendChild(option);
+                });
+                select.addEventListener('change', () => {
+                    if (select.value) chosen[pair.term] = select.value;
+                    else delete chosen[pair.term];
+                    onAnswer(Object.keys(chosen).length ? { ...chosen } : null);
+                });
+
+                row.append(term, select);
+                element.appendChild(row);
+            });
+        },
+        narration(q) {
+            return `Match these words: ${q.pairs.map(pair => pair.term).join(', ')}.`;
+        },
+        check(q, answer) {
+            return !!answer && q.pairs.every(pair => answer[pair.term] === pair.match);
+        },
+        describe(q, answer) {
+            return q.pairs.map(pair => `${pair.term}: ${(answer && answer[pair.term]) || '?'}`).join('; ');
+        },
+        solution(q) {
+            return q.pairs.map(pair => `${pair.term}: ${pair.match}`).join('; ');
+        },
+        evidenceText(q) {
+            return q.pairs.map(pair => pair.term).join(' ');
+        },
+        reveal(q, answer, element) {
+            element.querySelectorAll('.quiz-match').forEach(row => {
+                const pair = q.pairs.find(p => p.term === row.dataset.term);
+                const select = row.querySelector('select');
+                const correct = !!answer && answer[pair.term] === pair.match;
+                select.disabled = true;
+                select.classList.remove('border-slate-300', 'dark:border-slate-600');
+                select.classList.add(...(correct ? QUIZ_CORRECT_CLASSES : QUIZ_WRONG_CLASSES));
+                if (!correct) quizAnswerNote(row, pair.match);
+            });
+        }
+    }
+};
+
+/**
+ * Turn a payload question into the shape the quiz renders, or null when the
+ * type is unknown or the question is incomplete
+ */
+function prepareQuizQuestion(raw, context) {
+    const type = (raw && raw.type) || 'multiple_choice';
+    if (!QUIZ_TYPES[type]) {
+        console.warn('Quiz: unknown question type, skipping', type);
+        return null;
+    }
+    const prepared = QUIZ_TYPES[type].prepare(raw, context || {});
+    return prepared ? { type, ...prepared } : null;
+}
+
+function evidenceWords(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 2 && !EVIDENCE_STOPWORDS.has(word));
+}
+
+/**
+ * Index of the sentence that best supports a question's answer, or -1.
+ * Words from the answer count double; words from the question count once.
+ */
+function findQuizEvidence(q, sentences) {
+    const answerWords = new Set(evidenceWords(QUIZ_TYPES[q.type].evidenceText(q)));
+    const questionWords = new Set(evidenceWords(q.question));
+    let best = -1;
+    let bestScore = EVIDENCE_MIN_SCORE - 1;
+    sentences.forEach((sentence, i) => {
+        const words = new Set(evidenceWords(sentence));
+        let score = 0;
+        words.forEach(word => {
+            if (answerWords.has(word)) score += 2;
+            if (questionWords.has(word)) score += 1;
+        });
+        if (score > bestScore) {
+            best = i;
+            bestScore = score;
+        }
+    });
+    return best;
+}
@@ -0,0 +1,121 @@
+/**
+ * Reading Tracker - how much of an article was actually read
+ * Measures, for one visit to the article page:
+ *
+ *   - active reading time: seconds the page was visible and the child was
+ *     scrolling, typing, pointing or listening to the narrator; counting
+ *     stops after IDLE_MS without any of those
+ *   - scroll depth: the furthest point (0-100%) of each tracked section
+ *     (the summary, background_read) that has been on screen
+ *   - tabs: which article tabs were opened
+ *
+ * The page owns saving: onFlush() is called every FLUSH_MS, when the page is
+ * hidden and when it is closed, and hands takeSession() to
+ * userManager.trackReading(), which adds it to the reading_<id> stats entry.
+ */
+
+const READING_IDLE_MS = 90000;
+const READING_TICK_MS = 1000;
+const READING_FLUSH_MS = 60000;
+// A throttled background timer can fire late; never count more than this per tick
+const READING_MAX_TICK_MS = 5000;
+const READING_ACTIVITY_EVENTS = ['scroll', 'keydown', 'pointerdown', 'pointermove', 'touchstart', 'wheel'];
+
+class ReadingTracker {
+    /**
+     * sections: { name: elementId } whose scroll depth is measured
+     * isListening(): true while the narrator is reading aloud
+     */
+    constructor({ sections = {}, initialTab = null, isListening = () => false, onFlush = () => {} } = {}) {
+        this.sections = sections;
+        this.isListening = isListening;
+        this.onFlush = onFlush;
+        this.activeMs = 0;
+        this.depths = {};
+        this.tabs = new Set(initialTab ? [initialTab] : []);
+        this.newVisit = true;
+        this.lastActivity = Date.now();
+        this.lastTick = Date.now();
+
+        this.onActivity = () => { this.lastActivity = Date.now(); };
+        this.onScroll = () => {
+            this.onActivity();
+            this.measure();
+        };
+        this.onVisibility = () => {
+            this.lastTick = Date.now();
+            if (document.visibilityState === 'hidden') this.onFlush();
+            else this.onActivity();
+        };
+        this.onPageHide = () => this.onFlush();
+
+        READING_ACTIVITY_EVENTS.forEach(type => {
+            window.addEventListener(type, type === 'scroll' ? this.onScroll : this.onActivity, { passive: true });
+        });
+        window.addEventListener('resize', this.onScroll);
+        document.addEventListener('visibilitychange', this.onVisibility);
+        window.addEventListener('pagehide', this.onPageHide);
+        this.ticker = setInterval(() => this.tick(), READING_TICK_MS);
+        this.flusher = setInterval(() => this.onFlush(), READING_FLUSH_MS);
+        this.measure();
+    }
+
+    isActive() {
+        if (document.visibilityState === 'hidden') return false;
+        return Date.now() - this.lastActivity < READING_IDLE_MS || this.isListening();
+    }
+
+    tick() {
+        const now = Date.now();
+        if (this.isActive()) this.activeMs += Math.min(now - this.lastTick, READING_MAX_TICK_MS);
+        this.lastTick = now;
+    }
+
+    /**
+     * Record how far down each visible section the bottom of the window reaches
+     */
+    measure() {
+        Object.entries(this.sections).forEach(([name, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            const rect = element.getBoundingClientRect();
+            if (rect.height === 0) return; // on a hidden tab
+            const seen = (window.innerHeight - rect.top) / rect.height;
+            const depth = Math.round(Math.min(Math.max(seen, 0), 1) * 100);
+            this.depths[name] = Math.max(this.depths[name] || 0, depth);
+        });
+    }
+
+    openTab(name) {
+        this.tabs.add(name);
+        this.onActivity();
+        // The newly shown tab may already be scrolled into view
+        requestAnimationFrame(() => this.measure());
+    }
+
+    /**
+     * What was read since the last call:
+     * { seconds, depths: { section: percent }, tabs, newVisit }
+     * Seconds not yet whole carry over to the next call.
+     */
+    takeSession() {
+        this.tick();
+        this.measure();
+        const seconds = Math.floor(this.activeMs / 1000);
+        this.activeMs -= seconds * 1000;
+        const session = { seconds, depths: { ...this.depths }, tabs: [...this.tabs], newVisit: this.newVisit };
+        this.newVisit = false;
+        return session;
+    }
+
+    stop() {
+        READING_ACTIVITY_EVENTS.forEach(type => {
+            window.removeEventListener(type, type === 'scroll' ? this.onScroll : this.onActivity);
+        });
+        window.removeEventListener('resize', this.onScroll);
+        document.removeEventListener('visibilitychange', this.onVisibility);
+        window.removeEventListener('pagehide', this.onPageHide);
+        clearInterval(this.ticker);
+        clearInterval(this.flusher);
+    }
+}
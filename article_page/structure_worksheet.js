@@ -0,0 +1,292 @@
+/**
+ * Structure Worksheet - critical thinking on an article's structure analysis
+ * The Enjoy and Research payloads' Article_Structure is prose labelled
+ * "Main Points: ... Purpose: ... Evidence Evaluation: ...". Instead of showing
+ * it straight away, the child first answers three questions in their own words,
+ * then compares their answers with the analysis. The sheet can be printed (or
+ * saved as PDF) and downloaded as text for homework; before comparing, the
+ * printout has the questions and the child's answers but not the analysis.
+ *
+ *   const analysis = StructureWorksheet.parse(text);   // null without the three labels
+ *   new StructureWorksheet(container, analysis, {
+ *       title,               // article title, for the printout
+ *       answers,             // the saved { mainPoint, purpose, evidence, rating }, or null
+ *       onSave(answers)      // save when the child compares
+ *   }).render();
+ *
+ * Uses escapeHtml() from data_source/news_data.js.
+ */
+
+const WORKSHEET_LABELS = [
+    { key: 'mainPoint', label: 'Main Points', pattern: 'Main Points?' },
+    { key: 'purpose', label: 'Purpose', pattern: 'Purpose' },
+    { key: 'evidence', label: 'Evidence', pattern: 'Evidence(?: Evaluation)?' },
+    { key: 'credibility', label: 'Author Credibility', pattern: 'Author Credibility' },
+    { key: 'methodology', label: 'Methodology', pattern: 'Methodology' },
+    { key: 'assessment', label: 'Critical Assessment', pattern: 'Critical Assessment' }
+];
+
+const WORKSHEET_QUESTIONS = [
+    { key: 'mainPoint', question: 'What is the main point?', hint: 'Sum up what the article is mostly about in a sentence or two.' },
+    { key: 'purpose', question: 'What is the purpose?', hint: 'Why was it written? To inform, to explain, to persuade, to entertain...?' },
+    { key: 'evidence', question: 'How strong is the evidence?', hint: 'Who or what does the article rely on? Could anything be checked or is anything missing?' }
+];
+
+const WORKSHEET_RATINGS = [
+    { value: 'strong', label: 'Strong' },
+    { value: 'mixed', label: 'Mixed' },
+    { value: 'weak', label: 'Weak' }
+];
+
+const WORKSHEET_ANSWER_MIN = 5;
+const WORKSHEET_ANSWER_MAX = 600;
+
+class StructureWorksheet {
+    constructor(container, analysis, { title = '', answers = null, onSave = () => {} } = {}) {
+        this.container = container;
+        this.analysis = analysis;
+        this.title = title;
+        this.onSave = onSave;
+
+        this.answers = { mainPoint: '', purpose: '', evidence: '', rating: '' };
+        if (answers) {
+            Object.keys(this.answers).forEach(key => { this.answers[key] = answers[key] || ''; });
+        }
+        this.compared = Boolean(answers) && this.complete();
+
+        this.container.addEventListener('click', e => this.handleClick(e));
+        this.container.addEventListener('input', e => this.handleInput(e));
+    }
+
+    /**
+     * Split labelled structure prose into { intro, sections: { key: text } }.
+     * Returns null unless main points, purpose and evidence are all there,
+     * so the page can fall back to showing the prose as it is.
+     */
+    static parse(text) {
+        const labels = new RegExp(`\\b(${WORKSHEET_LABELS.map(l => l.pattern).join('|')})\\s*:`, 'gi');
+        const source = String(text || '');
+        const matches = [...source.matchAll(labels)];
+        const sections = {};
+        matches.forEach((match, index) => {
+            const label = WORKSHEET_LABELS.find(l => new RegExp(`^${l.pattern}$`, 'i').test(match[1]));
+            const end = index + 1 < matches.length ? matches[index + 1].index : source.length;
+            const content = source.slice(match.index + match[0].length, end).trim();
+            if (label && content && !sections[label.key]) {
+                sections[label.key] = content.charAt(0).toUpperCase() + content.slice(1);
+            }
+        });
+        if (!WORKSHEET_QUESTIONS.every(q => sections[q.key])) return null;
+        return { intro: source.slice(0, matches[0].index).trim(), sections };
+    }
+
+    complete() {
+        return WORKSHEET_QUESTIONS.every(q => this.answers[q.key].trim().length >= WORKSHEET_ANSWER_MIN)
+            && Boolean(this.answers.rating);
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="print:hidden">${this.compared ? this.compareHtml() : this.questionsHtml()}</div>
+            <div class="hidden print:block text-black">${this.printHtml()}</div>
+        `;
+        this.updateCompareButton();
+    }
+
+    questionsHtml() {
+        return `
+            <p class="text-slate-600 dark:text-slate-300 text-sm font-medium mb-6">Think like a critic: answer these in your own words, then compare your answers with the article analysis.</p>
+            <div class="space-y-6">
+                ${WORKSHEET_QUESTIONS.map((q, index) => `
+                    <div class="flex flex-col gap-2">
+                        <label class="font-bold text-slate-900 dark:text-white" for="worksheet-${q.key}">${index + 1}. ${q.question}</label>
+                        <p class="text-sm text-slate-500 dark:text-slate-400">${q.hint}</p>
+                        ${q.key === 'evidence' ? `
+                            <div class="flex flex-wrap gap-2" role="group" aria-label="Evidence strength">
+                                ${WORKSHEET_RATINGS.map(r => `
+                                    <button type="button" data-worksheet-rating="${r.value}" class="px-4 h-9 rounded-full border-2 text-sm font-semibold transition-colors ${this.answers.rating === r.value
+                                        ? 'border-primary bg-primary/10 text-primary'
+                                        : 'border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:border-primary/50'}">${r.label}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        <textarea id="worksheet-${q.key}" data-worksheet-answer="${q.key}" maxlength="${WORKSHEET_ANSWER_MAX}" rows="3" placeholder="${q.key === 'evidence' ? 'Because...' : 'I think...'}" class="w-full rounded-lg border-slate-300 dark:border-slate-600 bg-background-light dark:bg-background-dark text-slate-800 dark:text-slate-200 placeholder:text-slate-400 dark:placeholder:text-slate-500 focus:border-primary focus:ring-primary border p-3">${escapeHtml(this.answers[q.key])}</textarea>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="flex flex-wrap items-center justify-between gap-4 mt-6">
+                <div class="flex items-center gap-4">${this.toolsHtml()}</div>
+                <div class="flex items-center gap-4">
+                    <span data-worksheet-status class="text-xs text-slate-500 dark:text-slate-400"></span>
+                    <button type="button" data-worksheet-compare class="flex cursor-pointer items-center justify-center rounded-lg h-10 px-5 bg-primary text-white gap-2 text-sm font-bold hover:bg-primary/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                        <span class="material-symbols-outlined text-lg">compare_arrows</span>
+                        Compare with the Analysis
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    compareHtml() {
+        const { intro, sections } = this.analysis;
+        const more = WORKSHEET_LABELS.filter(l => sections[l.key] && !WORKSHEET_QUESTIONS.some(q => q.key === l.key));
+        return `
+            ${intro ? `<p class="text-slate-700 dark:text-slate-300 mb-6">${escapeHtml(intro)}</p>` : ''}
+            <div class="space-y-6">
+                ${WORKSHEET_QUESTIONS.map((q, index) => `
+                    <div>
+                        <h3 class="font-bold text-slate-900 dark:text-white mb-2">${index + 1}. ${q.question}</h3>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <div class="p-4 rounded-lg bg-primary/10 border border-primary/30">
+                                <p class="text-xs font-bold uppercase tracking-wide text-primary mb-1">You said${q.key === 'evidence' ? ` · ${this.ratingLabel()}` : ''}</p>
+                                <p class="text-slate-800 dark:text-slate-200 whitespace-pre-line">${escapeHtml(this.answers[q.key])}</p>
+                            </div>
+                            <div class="p-4 rounded-lg border border-slate-200 dark:border-slate-600">
+                                <p class="text-xs font-bold uppercase tracking-wide text-green-600 dark:text-green-400 mb-1">The analysis says</p>
+                                <p class="text-slate-700 dark:text-slate-300">${escapeHtml(sections[q.key])}</p>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="text-sm text-slate-600 dark:text-slate-300 mt-6">Did you spot the same things? If you noticed something the analysis missed, that counts too.</p>
+            ${more.length ? `
+                <h3 class="font-bold text-slate-900 dark:text-white mt-6 mb-2">More from the analysis</h3>
+                <dl class="space-y-3">
+                    ${more.map(l => `
+                        <div>
+                            <dt class="font-bold text-green-600 dark:text-green-400">${l.label}</dt>
+                            <dd class="text-slate-700 dark:text-slate-300">${escapeHtml(sections[l.key])}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            ` : ''}
+            <div class="flex flex-wrap items-center gap-4 mt-6">
+                <button type="button" data-worksheet-edit class="inline-flex items-center gap-1 text-sm font-semibold text-primary hover:text-primary/80">
+                    <span class="material-symbols-outlined text-lg">edit</span>
+                    Edit my answers
+                </button>
+                ${this.toolsHtml()}
+            </div>
+        `;
+    }
+
+    toolsHtml() {
+        return `
+            <button type="button" data-worksheet-print class="inline-flex items-center gap-1 text-sm font-semibold text-slate-600 dark:text-slate-300 hover:text-primary" title="Print, or choose &quot;Save as PDF&quot; in the print dialog">
+                <span class="material-symbols-outlined text-lg">print</span>
+                Print
+            </button>
+            <button type="button" data-worksheet-download class="inline-flex items-center gap-1 text-sm font-semibold text-slate-600 dark:text-slate-300 hover:text-primary">
+                <span class="material-symbols-outlined text-lg">download</span>
+                Download
+            </button>
+        `;
+    }
+
+    // Plain black-on-white sheet for paper; empty answers get lines to write on
+    printHtml() {
+        const lines = '<div class="border-b border-slate-400 h-8"></div>'.repeat(4);
+        return `
+            <h2 class="text-2xl font-bold mb-1">Critical Thinking Worksheet</h2>
+            <p class="text-lg mb-1">${escapeHtml(this.title)}</p>
+            <p class="text-sm mb-6">Name: ______________________ &nbsp; Date: ______________</p>
+            ${WORKSHEET_QUESTIONS.map((q, index) => `
+                <div class="mb-6 break-inside-avoid">
+                    <p class="font-bold">${index + 1}. ${q.question}</p>
+                    <p class="text-sm italic mb-2">${q.hint}</p>
+                    ${q.key === 'evidence' ? `<p class="text-sm mb-2">${WORKSHEET_RATINGS.map(r => `${this.answers.rating === r.value ? '☒' : '☐'} ${r.label}`).join(' &nbsp; ')}</p>` : ''}
+                    ${this.answers[q.key].trim() ? `<p class="whitespace-pre-line">${escapeHtml(this.answers[q.key])}</p>` : lines}
+                    ${this.compared ? `<p class="text-sm mt-2"><strong>The analysis says:</strong> ${escapeHtml(this.analysis.sections[q.key])}</p>` : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    ratingLabel() {
+        const rating = WORKSHEET_RATINGS.find(r => r.value === this.answers.rating);
+        return rating ? rating.label : '';
+    }
+
+    toText() {
+        const rows = [
+            'Critical Thinking Worksheet',
+            this.title,
+            ''
+        ];
+        WORKSHEET_QUESTIONS.forEach((q, index) => {
+            rows.push(`${index + 1}. ${q.question}`);
+            if (q.key === 'evidence') rows.push(`Rating: ${this.ratingLabel() || '-'}`);
+            rows.push(`My answer: ${this.answers[q.key].trim() || '-'}`);
+            if (this.compared) rows.push(`The analysis says: ${this.analysis.sections[q.key]}`);
+            rows.push('');
+        });
+        return rows.join('\n');
+    }
+
+    print() {
+        document.body.classList.add('print-worksheet-only');
+        window.print();
+        document.body.classList.remove('print-worksheet-only');
+    }
+
+    download() {
+        const blob = new Blob([this.toText()], { type: 'text/plain;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `worksheet-${(this.title || 'article').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'article'}.txt`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    handleClick(e) {
+        const rating = e.target.closest('[data-worksheet-rating]');
+        if (rating) {
+            this.answers.rating = rating.dataset.worksheetRating;
+            this.render();
+            return;
+        }
+        if (e.target.closest('[data-worksheet-compare]')) {
+            this.compare();
+            return;
+        }
+        if (e.target.closest('[data-worksheet-edit]')) {
+            this.compared = false;
+            this.render();
+            return;
+        }
+        if (e.target.closest('[data-worksheet-print]')) {
+            this.render();
+            this.print();
+            return;
+        }
+        if (e.target.closest('[data-worksheet-download]')) {
+            this.download();
+        }
+    }
+
+    handleInput(e) {
+        const answer = e.target.closest('[data-worksheet-answer]');
+        if (!answer) return;
+        this.answers[answer.dataset.worksheetAnswer] = answer.value;
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        const status = this.container.querySelector('[data-worksheet-status]');
+        const compare = this.container.querySelector('[data-worksheet-compare]');
+        if (!status || !compare) return;
+        const left = WORKSHEET_QUESTIONS.filter(q => this.answers[q.key].trim().length < WORKSHEET_ANSWER_MIN).length
+            + (this.answers.rating ? 0 : 1);
+        status.textContent = left ? `${left} to go` : '';
+        compare.disabled = left > 0;
+    }
+
+    compare() {
+        if (!this.complete()) return;
+        WORKSHEET_QUESTIONS.forEach(q => { this.answers[q.key] = this.answers[q.key].trim(); });
+        this.compared = true;
+        this.onSave({ ...this.answers });
+        this.render();
+    }
+}
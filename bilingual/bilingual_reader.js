@@ -0,0 +1,145 @@
+/**
+ * Bilingual Reader - English and Chinese versions of an article shown together
+ * Both versions share an article id (articles_<category>_<level>.json and
+ * articles_<category>_cn.json), but they are written separately, so sentences do
+ * not line up one-to-one. Sentences are grouped into aligned passages by their
+ * position in the text; tapping a sentence highlights (or reveals) its passage
+ * in the other language.
+ *
+ * Modes: 'side' (two columns) and 'interleave' (Chinese under each English
+ * passage, hidden until tapped). The chosen mode lives in localStorage.
+ */
+
+const BILINGUAL_MODE_KEY = 'bilingual_mode';
+const BILINGUAL_MODES = ['side', 'interleave'];
+const BILINGUAL_ACTIVE_CLASSES = ['bg-primary/20', 'rounded'];
+
+class BilingualReader {
+    /**
+     * The saved mode, or '' when bilingual reading is off
+     */
+    static mode() {
+        const mode = localStorage.getItem(BILINGUAL_MODE_KEY);
+        return BILINGUAL_MODES.includes(mode) ? mode : '';
+    }
+
+    static setMode(mode) {
+        if (BILINGUAL_MODES.includes(mode)) {
+            localStorage.setItem(BILINGUAL_MODE_KEY, mode);
+        } else {
+            localStorage.removeItem(BILINGUAL_MODE_KEY);
+        }
+    }
+
+    static splitSentences(text) {
+        return (String(text || '').match(/[^.!?。！？]+[.!?。！？]+["'”’」]?|[^.!?。！？]+$/g) || [])
+            .map(s => s.trim())
+            .filter(s => s);
+    }
+
+    /**
+     * Group two sentence lists into passages: [{ en: [...], cn: [...] }].
+     * A sentence belongs to the passage its midpoint falls in, measured by the
+     * share of the text before it, so a long English sentence can pair with two
+     * short Chinese ones. Every passage has at least one sentence on each side.
+     */
+    static align(enSentences, cnSentences) {
+        const count = Math.max(1, Math.min(enSentences.length, cnSentences.length));
+        const positions = sentences => {
+            const total = sentences.reduce((sum, s) => sum + s.length, 0) || 1;
+            let before = 0;
+            return sentences.map(s => {
+                const group = Math.min(count - 1, Math.floor(((before + s.length / 2) / total) * count));
+                before += s.length;
+                return group;
+            });
+        };
+
+        const groups = Array.from({ length: count }, () => ({ en: [], cn: [] }));
+        positions(enSentences).forEach((group, i) => groups[group].en.push(enSentences[i]));
+        positions(cnSentences).forEach((group, i) => groups[group].cn.push(cnSentences[i]));
+
+        // Fold one-sided passages into the one before (or after, for the first)
+        const merged = [];
+        groups.forEach(group => {
+            const previous = merged[merged.length - 1];
+            if (previous && (!previous.en.length || !previous.cn.length || !group.en.length || !group.cn.length)) {
+                previous.en.push(...group.en);
+                previous.cn.push(...group.cn);
+            } else {
+                merged.push(group);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * HTML for the aligned passages.
+     * options.formatEnglish(sentence) returns the inner HTML of an English
+     * sentence (article.html highlights keywords there); options.englishClass and
+     * options.chineseClass are added to the sentences of each language
+     * (article.html uses them for read-aloud).
+     */
+    static render(enText, cnText, mode, { formatEnglish = escapeBilingualHtml, englishClass = '', chineseClass = '' } = {}) {
+        const groups = BilingualReader.align(
+            BilingualReader.splitSentences(enText),
+            BilingualReader.splitSentences(cnText)
+        );
+        const sentence = (text, lang, pair) => lang === 'en'
+            ? `<span class="bilingual-sentence cursor-pointer ${englishClass}" data-lang="en" data-pair="${pair}">${formatEnglish(text)}</span>`
+            : `<span class="bilingual-sentence cursor-pointer ${chineseClass}" data-lang="cn" data-pair="${pair}" lang="zh-CN">${escapeBilingualHtml(text)}</span>`;
+        const passage = (group, lang, pair) => group[lang].map(text => sentence(text, lang, pair)).join(lang === 'en' ? ' ' : '');
+
+        if (mode === 'interleave') {
+            return `<div class="bilingual bilingual-interleave space-y-3" data-mode="interleave">${groups.map((group, pair) => `
+                <p>${passage(group, 'en', pair)}</p>
+                <p class="bilingual-counterpart hidden border-l-4 border-primary/40 pl-3 text-slate-600 dark:text-slate-400" data-pair="${pair}">${passage(group, 'cn', pair)}</p>`).join('')}
+            </div>`;
+        }
+
+        return `<div class="bilingual bilingual-side space-y-3" data-mode="side">${groups.map((group, pair) => `
+            <div class="grid grid-cols-2 gap-4">
+                <p>${passage(group, 'en', pair)}</p>
+                <p class="text-slate-600 dark:text-slate-400">${passage(group, 'cn', pair)}</p>
+            </div>`).join('')}
+        </div>`;
+    }
+
+    /**
+     * Tap handling for every rendered block inside container (delegated, so
+     * re-rendering the content does not need attach() again)
+     */
+    static attach(container) {
+        if (!container || container.dataset.bilingualAttached) return;
+        container.dataset.bilingualAttached = 'true';
+
+        container.addEventListener('click', event => {
+            const target = event.target.closest('.bilingual-sentence');
+            if (!target || event.target.closest('a')) return;
+            const block = target.closest('.bilingual');
+            const pair = target.dataset.pair;
+            const otherLang = target.dataset.lang === 'en' ? 'cn' : 'en';
+
+            // Tapping the highlighted passage again clears it
+            const alreadyActive = target.classList.contains(BILINGUAL_ACTIVE_CLASSES[0]);
+            block.querySelectorAll('.bilingual-sentence').forEach(el => el.classList.remove(...BILINGUAL_ACTIVE_CLASSES));
+            if (alreadyActive) return;
+
+            if (block.dataset.mode === 'interleave') {
+                const counterpart = block.querySelector(`.bilingual-counterpart[data-pair="${pair}"]`);
+                if (counterpart) counterpart.classList.remove('hidden');
+            }
+
+            target.classList.add(...BILINGUAL_ACTIVE_CLASSES);
+            const matches = block.querySelectorAll(`.bilingual-sentence[data-lang="${otherLang}"][data-pair="${pair}"]`);
+            matches.forEach(el => el.classList.add(...BILINGUAL_ACTIVE_CLASSES));
+            if (matches.length) matches[0].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        });
+    }
+}
+
+function escapeBilingualHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
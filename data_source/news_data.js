@@ -0,0 +1,255 @@
+/**
+ * News Data - the one place pages get content from
+ * index.html, archive/archive.html, article.html and article_page/article.html
+ * (and the search and archive modules) load listings, article payloads and
+ * images through NewsData, so they resolve URLs, cache, retry and fail the
+ * same way.
+ *
+ *   const today = NewsData.forDate();            // served with the site
+ *   const old = NewsData.forDate('2026-04-20');  // archived in storage
+ *   const { articles } = await old.listing('science', 'easy');
+ *   const article = await old.article(articles[0].id, 'easy');
+ *
+ * Archived editions live under one storage origin. It defaults to
+ * NEWS_STORAGE_BASE_DEFAULT and can be changed for the whole site by setting
+ * window.NEWS_STORAGE_BASE before this script loads.
+ *
+ * Failures are NewsDataError subclasses: NewsNotFoundError (the file is not
+ * published), NewsNetworkError (offline, timed out or server errors after
+ * retries) and NewsFormatError (not the JSON we expect).
+ */
+
+const NEWS_STORAGE_BASE_DEFAULT = 'https://lfknsvavhiqrsasdfyrs.supabase.co/storage/v1/object/public/shared-storage/website';
+// Archived files never change; shared with the search index and kept by sw.js
+const NEWS_ARCHIVE_CACHE = 'kidsnews-search-v1';
+const NEWS_CATEGORIES = ['news', 'science', 'fun'];
+const NEWS_LEVELS = ['easy', 'middle', 'high'];
+const NEWS_FETCH_ATTEMPTS = 3;
+const NEWS_RETRY_DELAY_MS = 500;
+const NEWS_FETCH_TIMEOUT_MS = 15000;
+// Old payloads point images at the live site; archived images are in storage
+const NEWS_SITE_IMAGE_PATTERN = /^(?:https?:\/\/kidsnews\.6ray\.com)?\/article_images?\//;
+
+class NewsDataError extends Error {
+    constructor(message, { url = '', status = 0, cause = null } = {}) {
+        super(message);
+        this.name = 'NewsDataError';
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+class NewsNotFoundError extends NewsDataError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NewsNotFoundError';
+    }
+}
+
+class NewsNetworkError extends NewsDataError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NewsNetworkError';
+    }
+}
+
+class NewsFormatError extends NewsDataError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NewsFormatError';
+    }
+}
+
+// url -> Promise of parsed JSON, for the life of the page
+const newsDataLoaded = new Map();
+
+class NewsData {
+    static storageBase() {
+        return (window.NEWS_STORAGE_BASE || NEWS_STORAGE_BASE_DEFAULT).replace(/\/+$/, '');
+    }
+
+    /**
+     * Today's edition (no date) or an archived one ('YYYY-MM-DD')
+     */
+    static forDate(date = null) {
+        return new NewsData(date);
+    }
+
+    /**
+     * Listing level for a level name or key: 'Relax'/'easy' -> 'easy',
+     * 'cn' stays 'cn', anything else is 'middle'
+     */
+    static levelKey(level) {
+        if (level === 'cn') return 'cn';
+        const byName = { Relax: 'easy', Enjoy: 'middle', Research: 'high' };
+        if (byName[level]) return byName[level];
+        return NEWS_LEVELS.includes(level) ? level : 'middle';
+    }
+
+    /**
+     * Plain message for showing a load failure to a child;
+     * what: 'articles' (a listing) or 'article' (one article payload)
+     */
+    static describeError(error, what = 'articles') {
+        const one = what === 'article';
+        if (error instanceof NewsNotFoundError) {
+            return one ? 'This article could not be found.' : 'These articles could not be found.';
+        }
+        if (error instanceof NewsNetworkError) {
+            if (navigator.onLine) return 'Could not reach the news server. Please try again in a moment.';
+            return one
+                ? 'You are offline and this article has not been saved on this device yet.'
+                : 'You are offline and these articles have not been saved on this device yet.';
+        }
+        return one ? 'Failed to load article. Please check console for details.' : 'Error loading articles. Check browser console.';
+    }
+
+    constructor(date = null) {
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new NewsDataError(`Invalid date "${date}", expected YYYY-MM-DD`);
+        }
+        this.date = date || null;
+    }
+
+    get archived() {
+        return this.date !== null;
+    }
+
+    get base() {
+        return this.archived ? `${NewsData.storageBase()}/${this.date}` : '';
+    }
+
+    listingUrl(category, level) {
+        return `${this.base}/payloads/articles_${category}_${NewsData.levelKey(level)}.json`;
+    }
+
+    articleUrl(articleId, level) {
+        return `${this.base}/article_payloads/payload_${articleId}/${NewsData.levelKey(level)}.json`;
+    }
+
+    /**
+     * Where an image_url from a payload is served from for this edition
+     */
+    imageUrl(imageUrl) {
+        if (!imageUrl) return '';
+        if (this.archived && NEWS_SITE_IMAGE_PATTERN.test(imageUrl)) {
+            return `${this.base}/article_images/${imageUrl.split('/').pop()}`;
+        }
+        return imageUrl;
+    }
+
+    /**
+     * A listing with every article's image_url resolved: { articles: [...] }
+     */
+    async listing(category, level) {
+        const url = this.listingUrl(category, level);
+        const data = await this.fetchJson(url);
+        if (!data || !Array.isArray(data.articles)) {
+            throw new NewsFormatError(`${url} has no articles list`, { url });
+        }
+        return { ...data, articles: data.articles.map(article => ({ ...article, image_url: this.imageUrl(article.image_url) })) };
+    }
+
+    /**
+     * One article payload (summary, keywords, questions...) with image_url resolved
+     */
+    async article(articleId, level) {
+        const url = this.articleUrl(articleId, level);
+        const data = await this.fetchJson(url);
+        if (!data || typeof data !== 'object') {
+            throw new NewsFormatError(`${url} is not an article payload`, { url });
+        }
+        return { ...data, image_url: this.imageUrl(data.image_url) };
+    }
+
+    /**
+     * An article's entry in the listings of the given categories (all of them
+     * by default, for old links without a category); null when it is in none
+     */
+    async findInListings(articleId, level, categories = NEWS_CATEGORIES) {
+        for (const category of categories) {
+            try {
+                const article = (await this.listing(category, level)).articles.find(a => a.id === articleId);
+                if (article) return { ...article, category };
+            } catch (error) {
+                console.warn('NewsData: listing unavailable', category, level, error.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Today's manifest.json ({ date, generated_at, ... })
+     */
+    static manifest() {
+        return new NewsData().fetchJson('/manifest.json');
+    }
+
+    fetchJson(url) {
+        if (!newsDataLoaded.has(url)) {
+            const promise = this.archived ? fetchArchivedJson(url) : fetchNewsJson(url);
+            newsDataLoaded.set(url, promise);
+            // Let a later call try again after a failure
+            promise.catch(() => newsDataLoaded.delete(url));
+        }
+        return newsDataLoaded.get(url);
+    }
+}
+
+async function fetchArchivedJson(url) {
+    if (!('caches' in window)) return fetchNewsJson(url);
+    const cache = await caches.open(NEWS_ARCHIVE_CACHE);
+    const cached = await cache.match(url);
+    if (cached) return parseNewsJson(cached, url);
+
+    const response = await fetchWithRetry(url);
+    await cache.put(url, response.clone());
+    return parseNewsJson(response, url);
+}
+
+async function fetchNewsJson(url) {
+    return parseNewsJson(await fetchWithRetry(url), url);
+}
+
+// Network errors, timeouts and 5xx are retried; a 404 is an answer
+async function fetchWithRetry(url) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= NEWS_FETCH_ATTEMPTS; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), NEWS_FETCH_TIMEOUT_MS);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (response.ok) return response;
+            if (response.status === 404 || response.status === 400) {
+                throw new NewsNotFoundError(`Not found: ${url}`, { url, status: response.status });
+            }
+            lastError = new NewsNetworkError(`HTTP ${response.status} loading ${url}`, { url, status: response.status });
+        } catch (error) {
+            if (error instanceof NewsNotFoundError) throw error;
+            lastError = new NewsNetworkError(`Could not load ${url}: ${error.message}`, { url, cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+        if (attempt < NEWS_FETCH_ATTEMPTS && navigator.onLine !== false) {
+            await new Promise(resolve => setTimeout(resolve, NEWS_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+        } else {
+            break;
+        }
+    }
+    throw lastError;
+}
+
+async function parseNewsJson(response, url) {
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new NewsFormatError(`Invalid JSON in ${url}`, { url, status: response.status, cause: error });
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+// Moderation Queue
+// Generated articles are reviewed before children see them. "submit" puts an
+// unpacked edition into the article_reviews table as pending; the workflow
+// then keeps the edition in incoming/<date>/, off the site. Editors preview,
+// edit and approve or reject articles in the admin Articles tab; "publish"
+// then rebuilds payloads/articles_<category>_<level>.json and article_payloads/
+// from the approved rows only, with the editors' changes applied. Both run
+// safety_check.js: a level it blocks is left out even when approved.
+//
+// Usage:
+//   node moderation/moderation_queue.js submit <unpacked dir> [--reviews <file>]
+//   node moderation/moderation_queue.js publish [site root] [--reviews <file>] [--force]
+//
+// Rows are read from and written to Supabase (SUPABASE_URL +
+// SUPABASE_SERVICE_ROLE_KEY) or, with --reviews, a JSON file of the same rows.
+//
+// publish never takes the site down: the live edition stays until a newer
+// staged edition has approved articles, and a listing that would be left empty
+// keeps its current articles (or publish stops with an error). It does nothing
+// when the approved set has not changed since the last publish, unless --force.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadRules, checkArticle } = require('./safety_check');
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const LISTING_LEVELS = ['easy', 'middle', 'high', 'cn'];
+const ARTICLE_LEVELS = ['easy', 'middle', 'high'];
+// Where the workflow keeps submitted editions until they are published
+const STAGING_DIR = 'incoming';
+// Same as NEWS_SITE_IMAGE_PATTERN in data_source/news_data.js
+const SITE_IMAGE_PATTERN = /^(?:https?:\/\/kidsnews\.6ray\.com)?\/article_images?\//;
+// Who submit entries in article_audit_log are from
+const QUEUE_ACTOR = 'moderation_queue.js';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function listingName(category, level) {
+    return `articles_${category}_${level}.json`;
+}
+
+/**
+ * One article_reviews row per article in an unpacked edition:
+ * { article_id, edition_date, category, position, status, content } where
+ * content is { listings: { easy, middle, high, cn }, payloads: { easy, middle, high } }
+ */
+function readEdition(dir) {
+    const manifestFile = path.join(dir, 'manifest.json');
+    if (!fs.existsSync(manifestFile)) throw new Error(`${manifestFile} is missing`);
+    const editionDate = readJson(manifestFile).date;
+    if (!editionDate) throw new Error(`${manifestFile} has no date`);
+
+    const rows = new Map();
+    CATEGORIES.forEach(category => {
+        LISTING_LEVELS.forEach(level => {
+            const file = path.join(dir, 'payloads', listingName(category, level));
+            if (!fs.existsSync(file)) return;
+            (readJson(file).articles || []).forEach((entry, position) => {
+                if (!rows.has(entry.id)) {
+                    rows.set(entry.id, {
+                        article_id: entry.id,
+                        edition_date: editionDate,
+                        category,
+                        position,
+                        status: 'pending',
+                        content: { listings: {}, payloads: {} }
+                    });
+                }
+                const row = rows.get(entry.id);
+                // An article listed under two categories is reviewed under the first
+                if (row.category === category) row.content.listings[level] = entry;
+            });
+        });
+    });
+
+    rows.forEach((row, id) => {
+        ARTICLE_LEVELS.forEach(level => {
+            const file = path.join(dir, 'article_payloads', `payload_${id}`, `${level}.json`);
+            if (!fs.existsSync(file)) throw new Error(`missing ${level} payload for ${id}`);
+            row.content.payloads[level] = readJson(file);
+        });
+    });
+    return { editionDate, rows: [...rows.values()] };
+}
+
+/**
+ * Queue an unpacked edition for review with its safety check results.
+ * Articles already in the queue keep their status and edits, so unpacking
+ * the same zip twice changes nothing. The "submitted" audit entries are
+ * written by the database. Returns { date, submitted, alreadyQueued }
+ */
+async function submitEdition(dir, store, rules = loadRules()) {
+    const { editionDate, rows } = readEdition(dir);
+    rows.forEach(row => { row.safety = checkArticle(row.content, rules); });
+    const added = await store.insertNew(rows);
+    return { date: editionDate, submitted: added.length, alreadyQueued: rows.length - added.length };
+}
+
+/**
+ * Staged editions newer than the live one, newest first: [{ date, dir }]
+ */
+function stagedEditions(root, liveDate) {
+    const staging = path.join(root, STAGING_DIR);
+    if (!fs.existsSync(staging)) return [];
+    return fs.readdirSync(staging)
+        .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name) && name > liveDate)
+        .filter(name => fs.existsSync(path.join(staging, name, 'manifest.json')))
+        .sort()
+        .reverse()
+        .map(date => ({ date, dir: path.join(staging, date) }));
+}
+
+/**
+ * An edition's approved rows in listing order, each with the listing levels
+ * it is published at and the levels the safety check blocks. Edited text is
+ * checked again and changed results are saved
+ */
+async function approvedRows(store, date, rules) {
+    const rows = (await store.approved(date))
+        .sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || a.position - b.position);
+    for (const row of rows) {
+        const safety = checkArticle(row.content, rules);
+        if (JSON.stringify(safety) !== JSON.stringify(row.safety)) await store.saveSafety(row.article_id, safety);
+        row.blocked = LISTING_LEVELS.filter(level => safety.levels[level] && safety.levels[level].verdict === 'block');
+        row.levels = LISTING_LEVELS.filter(level => row.content.listings[level] && !row.blocked.includes(level));
+    }
+    return rows;
+}
+
+function fingerprint(date, rows) {
+    const published = rows.map(row => [row.article_id, row.category, row.position, row.levels, row.content]);
+    return crypto.createHash('sha256').update(JSON.stringify([date, published])).digest('hex');
+}
+
+function readListing(root, category, level) {
+    const file = path.join(root, 'payloads', listingName(category, level));
+    return fs.existsSync(file) ? readJson(file).articles || [] : [];
+}
+
+// article_images/ file name of a site image, or null for a remote one
+function imageName(imageUrl) {
+    return imageUrl && SITE_IMAGE_PATTERN.test(imageUrl) ? decodeURIComponent(imageUrl.split(/[?#]/)[0].split('/').pop()) : null;
+}
+
+/**
+ * Publish approved articles. The target is the newest staged edition with
+ * anything to publish, which then replaces the live one, or else the live
+ * edition again (for approvals and rejections made since it went live).
+ *
+ * - A listing the target leaves empty keeps its current articles that are
+ *   not rejected; if none are left, nothing is written and this throws.
+ * - Payload folders and images of articles no longer listed are removed.
+ * - archive_index.json only lists editions that were published. In storage,
+ *   the target's listings are replaced with the published ones, the edited
+ *   payloads of published levels are uploaded and every other payload of the
+ *   edition is deleted, so old news, search and ?date= links only ever show
+ *   approved text.
+ *
+ * Returns { date, changed, promoted, published, carried, removed, blockedLevels }
+ */
+async function publishApproved(root, store, { rules = loadRules(), force = false } = {}) {
+    const manifestFile = path.join(root, 'manifest.json');
+    const live = readJson(manifestFile);
+    if (!live.date) throw new Error('manifest.json has no date');
+
+    let target = null;
+    for (const staged of stagedEditions(root, live.date)) {
+        const rows = await approvedRows(store, staged.date, rules);
+        if (rows.some(row => row.levels.length)) {
+            target = { ...staged, rows };
+            break;
+        }
+    }
+    const promoted = Boolean(target);
+    if (!target) {
+        // The live edition stays staged for the images of articles approved later
+        const dir = path.join(root, STAGING_DIR, live.date);
+        target = { date: live.date, dir: fs.existsSync(dir) ? dir : null, rows: await approvedRows(store, live.date, rules) };
+    }
+
+    const result = { date: target.date, changed: false, promoted, published: 0, carried: 0, removed: 0, blockedLevels: 0 };
+    const approvedSet = fingerprint(target.date, target.rows);
+    const lastSet = live.review && live.review.approved;
+    if (!promoted) {
+        // An edition from before the review queue has nothing approved to go by
+        if (!lastSet && !target.rows.length) return result;
+        if (lastSet === approvedSet && !force) return result;
+    }
+
+    const published = target.rows.filter(row => row.levels.length);
+    const targetIds = new Set(target.rows.map(row => row.article_id));
+    const current = {};
+    CATEGORIES.forEach(category => LISTING_LEVELS.forEach(level => {
+        current[listingName(category, level)] = readListing(root, category, level);
+    }));
+    const currentIds = [...new Set(Object.values(current).flat().map(entry => entry.id))];
+    const statuses = await store.statuses(currentIds.filter(id => !targetIds.has(id)));
+
+    // name -> { articles, fresh }: fresh are the target's own, for storage
+    const listings = {};
+    const carriedIds = new Set();
+    CATEGORIES.forEach(category => {
+        LISTING_LEVELS.forEach(level => {
+            const name = listingName(category, level);
+            const fresh = published
+                .filter(row => row.category === category && row.levels.includes(level))
+                .map(row => row.content.listings[level]);
+            let articles = fresh;
+            if (!fresh.length && current[name].length) {
+                // Not queued (from before the review queue) or approved for an earlier edition
+                articles = current[name].filter(entry => !targetIds.has(entry.id) && [undefined, 'approved'].includes(statuses.get(entry.id)));
+                if (!articles.length) {
+                    throw new Error(`${name} would be left empty: approve an article for it before publishing ${target.date}`);
+                }
+                articles.forEach(entry => carriedIds.add(entry.id));
+            }
+            listings[name] = { articles, fresh };
+        });
+    });
+
+    const archiveFile = path.join(root, 'payloads', 'archive_index.json');
+    const liveArchive = fs.existsSync(archiveFile) ? readJson(archiveFile) : null;
+    let archive = liveArchive;
+    if (promoted) {
+        const stagedArchiveFile = path.join(target.dir, 'payloads', 'archive_index.json');
+        if (fs.existsSync(stagedArchiveFile)) {
+            // Editions that were skipped or never reviewed stay out of old news and search
+            const known = new Set(((liveArchive && liveArchive.dates) || []).map(item => item.date).concat(live.date, target.date));
+            archive = readJson(stagedArchiveFile);
+            archive.dates = (archive.dates || []).filter(item => item.date <= target.date && known.has(item.date));
+        }
+    }
+    const entry = archive && (archive.dates || []).find(item => item.date === target.date);
+    if (entry && entry.payloads_url) {
+        const files = {};
+        Object.entries(listings).forEach(([name, listing]) => { files[name] = { articles: listing.fresh }; });
+        await store.uploadFiles(entry.payloads_url, files);
+    }
+    if (entry && entry.article_payloads_url) {
+        // Rejected, pending and blocked payloads the generator uploaded go too
+        const files = {};
+        const stale = [];
+        const publishedIds = new Set(published.map(row => row.article_id));
+        published.forEach(row => ARTICLE_LEVELS.forEach(level => {
+            const name = `payload_${row.article_id}/${level}.json`;
+            if (row.blocked.includes(level)) stale.push(name);
+            else files[name] = row.content.payloads[level];
+        }));
+        (await store.editionIds(target.date))
+            .filter(id => !publishedIds.has(id))
+            .forEach(id => ARTICLE_LEVELS.forEach(level => stale.push(`payload_${id}/${level}.json`)));
+        await store.uploadFiles(entry.article_payloads_url, files);
+        await store.removeFiles(entry.article_payloads_url, stale);
+    }
+
+    // Everything is known to be publishable; now write the site
+    Object.entries(listings).forEach(([name, listing]) => writeJson(path.join(root, 'payloads', name), { articles: listing.articles }));
+    if (archive) writeJson(archiveFile, archive);
+
+    const payloadsDir = path.join(root, 'article_payloads');
+    const keptIds = new Set([...published.map(row => row.article_id), ...carriedIds]);
+    if (fs.existsSync(payloadsDir)) {
+        fs.readdirSync(payloadsDir)
+            .filter(name => name.startsWith('payload_') && !keptIds.has(name.slice('payload_'.length)))
+            .forEach(name => {
+                fs.rmSync(path.join(payloadsDir, name), { recursive: true, force: true });
+                result.removed++;
+            });
+    }
+    published.forEach(row => {
+        ARTICLE_LEVELS.forEach(level => {
+            writeJson(path.join(payloadsDir, `payload_${row.article_id}`, `${level}.json`), row.content.payloads[level]);
+        });
+    });
+
+    // Only the images of listed articles are kept; new ones come from the staged edition
+    const imagesDir = path.join(root, 'article_images');
+    const images = new Set();
+    Object.values(listings).forEach(listing => listing.articles.forEach(item => images.add(imageName(item.image_url))));
+    keptIds.forEach(id => ARTICLE_LEVELS.forEach(level => {
+        const file = path.join(payloadsDir, `payload_${id}`, `${level}.json`);
+        if (fs.existsSync(file)) images.add(imageName(readJson(file).image_url));
+    }));
+    images.delete(null);
+    fs.mkdirSync(imagesDir, { recursive: true });
+    images.forEach(name => {
+        const source = target.dir && path.join(target.dir, 'article_images', name);
+        if (!fs.existsSync(path.join(imagesDir, name)) && source && fs.existsSync(source)) {
+            fs.copyFileSync(source, path.join(imagesDir, name));
+        }
+    });
+    fs.readdirSync(imagesDir)
+        .filter(name => !name.startsWith('.') && !images.has(name))
+        .forEach(name => fs.rmSync(path.join(imagesDir, name), { force: true }));
+
+    const manifest = promoted ? readJson(path.join(target.dir, 'manifest.json')) : live;
+    writeJson(manifestFile, { ...manifest, review: { approved: approvedSet, published_at: new Date().toISOString() } });
+
+    // Staged editions older than the published one will never be published
+    const staging = path.join(root, STAGING_DIR);
+    if (fs.existsSync(staging)) {
+        fs.readdirSync(staging)
+            .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name) && name < target.date)
+            .forEach(name => fs.rmSync(path.join(staging, name), { recursive: true, force: true }));
+    }
+
+    return {
+        ...result,
+        changed: true,
+        published: published.length,
+        carried: carriedIds.size,
+        blockedLevels: target.rows.reduce((sum, row) => sum + row.blocked.length, 0)
+    };
+}
+
+// Where review rows are read from and written to. The file store also writes
+// the audit entries the database trigger would, and keeps "storage" as a map
+// of file URL -> uploaded JSON
+function fileStore(file) {
+    const data = fs.existsSync(file) ? readJson(file) : { reviews: [], audit_log: [] };
+    const write = () => writeJson(file, data);
+    return {
+        insertNew: async rows => {
+            const known = new Set(data.reviews.map(row => row.article_id));
+            const added = rows.filter(row => !known.has(row.article_id));
+            const now = new Date().toISOString();
+            data.reviews.push(...added);
+            data.audit_log.push(...added.map(row => ({ article_id: row.article_id, actor_email: QUEUE_ACTOR, action: 'submitted', created_at: now })));
+            write();
+            return added.map(row => row.article_id);
+        },
+        approved: async date => data.reviews.filter(row => row.edition_date === date && row.status === 'approved'),
+        editionIds: async date => data.reviews.filter(row => row.edition_date === date).map(row => row.article_id),
+        statuses: async ids => new Map(data.reviews.filter(row => ids.includes(row.article_id)).map(row => [row.article_id, row.status])),
+        saveSafety: async (articleId, safety) => {
+            data.reviews.find(row => row.article_id === articleId).safety = safety;
+            write();
+        },
+        uploadFiles: async (folderUrl, files) => {
+            data.storage = data.storage || {};
+            Object.entries(files).forEach(([name, file]) => { data.storage[new URL(name, folderUrl).href] = file; });
+            write();
+        },
+        removeFiles: async (folderUrl, names) => {
+            names.forEach(name => { if (data.storage) delete data.storage[new URL(name, folderUrl).href]; });
+            write();
+        }
+    };
+}
+
+function supabaseStore(url, serviceKey) {
+    const origin = url.replace(/\/$/, '');
+    const base = `${origin}/rest/v1`;
+    const headers = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}`, 'Content-Type': 'application/json' };
+    const send = async (target, options = {}) => {
+        const response = await fetch(target, { ...options, headers: { ...headers, ...options.headers } });
+        if (!response.ok) throw new Error(`${target.replace(origin, '')}: HTTP ${response.status} ${await response.text()}`);
+        return response;
+    };
+    const request = (table, query, options) => send(`${base}/${table}${query}`, options);
+    // folderUrl is a public URL in this project's storage (from archive_index.json)
+    const storagePath = folderUrl => {
+        const publicBase = `${origin}/storage/v1/object/public/`;
+        if (!folderUrl.startsWith(publicBase)) throw new Error(`${folderUrl} is not in ${origin} storage`);
+        const [bucket, ...folder] = folderUrl.slice(publicBase.length).replace(/\/?$/, '/').split('/');
+        return { bucket, folder: folder.join('/') };
+    };
+    return {
+        // ignore-duplicates returns only the rows that were inserted
+        insertNew: async rows => {
+            if (!rows.length) return [];
+            const response = await request('article_reviews', '?on_conflict=article_id&select=article_id', {
+                method: 'POST',
+                headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+                body: JSON.stringify(rows)
+            });
+            return (await response.json()).map(row => row.article_id);
+        },
+        approved: async date => (await request('article_reviews',
+            `?edition_date=eq.${encodeURIComponent(date)}&status=eq.approved&select=article_id,category,position,content,safety`)).json(),
+        editionIds: async date => (await (await request('article_reviews',
+            `?edition_date=eq.${encodeURIComponent(date)}&select=article_id`)).json()).map(row => row.article_id),
+        statuses: async ids => {
+            if (!ids.length) return new Map();
+            const list = ids.map(id => `"${encodeURIComponent(id)}"`).join(',');
+            const rows = await (await request('article_reviews', `?article_id=in.(${list})&select=article_id,status`)).json();
+            return new Map(rows.map(row => [row.article_id, row.status]));
+        },
+        saveSafety: (articleId, safety) => request('article_reviews', `?article_id=eq.${encodeURIComponent(articleId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ safety })
+        }),
+        uploadFiles: async (folderUrl, files) => {
+            const { bucket, folder } = storagePath(folderUrl);
+            for (const [name, file] of Object.entries(files)) {
+                await send(`${origin}/storage/v1/object/${bucket}/${folder}${name}`, {
+                    method: 'POST',
+                    headers: { 'x-upsert': 'true' },
+                    body: JSON.stringify(file)
+                });
+            }
+        },
+        // Files that are already gone are skipped by storage
+        removeFiles: async (folderUrl, names) => {
+            if (!names.length) return;
+            const { bucket, folder } = storagePath(folderUrl);
+            await send(`${origin}/storage/v1/object/${bucket}`, {
+                method: 'DELETE',
+                body: JSON.stringify({ prefixes: names.map(name => folder + name) })
+            });
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const args = { command: argv[0], dir: null, reviews: null, force: false };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--reviews') args.reviews = argv[++i];
+        else if (arg === '--force') args.force = true;
+        else if (!arg.startsWith('--') && !args.dir) args.dir = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!['submit', 'publish'].includes(args.command)) {
+        throw new Error('Usage: moderation_queue.js submit <unpacked dir> | publish [site root] [--force]  [--reviews <file>]');
+    }
+    if (args.command === 'submit' && !args.dir) throw new Error('submit needs the unpacked edition directory');
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    let store;
+    if (args.reviews) {
+        store = fileStore(args.reviews);
+    } else if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        store = supabaseStore(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    } else {
+        throw new Error('Pass --reviews <file> or set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    if (args.command === 'submit') {
+        const result = await submitEdition(args.dir, store);
+        console.log(`✅ Edition ${result.date}: ${result.submitted} queued for review, ${result.alreadyQueued} already queued`);
+    } else {
+        const result = await publishApproved(args.dir || path.join(__dirname, '..'), store, { force: args.force });
+        if (!result.changed) {
+            console.log(`✅ Edition ${result.date}: approved articles unchanged, nothing to publish`);
+            return;
+        }
+        console.log(`✅ Edition ${result.date}${result.promoted ? ' is now live' : ''}: ${result.published} approved articles published, ${result.carried} kept from before in listings that had none, ${result.blockedLevels} levels blocked by the safety check, ${result.removed} unpublished payload folders removed`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { readEdition, submitEdition, publishApproved, fileStore, supabaseStore };
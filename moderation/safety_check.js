@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Content Safety Check
+// Scores each article of an unpacked edition against the blocklist and
+// sensitive-topic rules in safety_rules.json, separately for every level:
+// the same words can be fine at Research and too much at Relax. Each level is
+// "ok", "flag" (an editor should look) or "block" (never published at that
+// level, even when approved).
+//
+// Usage: node moderation/safety_check.js [unpacked dir] [--rules <file>] [--json <file>]
+//        (default dir: repo root, default rules: moderation/safety_rules.json)
+//
+// moderation_queue.js stores the results with each queued article, where the
+// admin Articles tab shows them, and checks the edited text again on publish.
+// Only reads from disk; the exit status is 0 even when something is blocked.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES = path.join(__dirname, 'safety_rules.json');
+const VERDICTS = ['ok', 'flag', 'block'];
+// Repeating a word adds to the score only up to this many times per level
+const MAX_COUNT_PER_TERM = 3;
+
+function loadRules(file = DEFAULT_RULES) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Chinese has no word boundaries; English terms match whole words only
+function termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return /[㐀-鿿]/.test(term) ? new RegExp(escaped, 'g') : new RegExp(`\\b${escaped}\\b`, 'gi');
+}
+
+/**
+ * The text of one level, as [{ field, text }]: everything a child is shown,
+ * including the perspectives debate and the structure worksheet. English
+ * levels are article payloads; the Chinese level is only a listing entry
+ */
+function levelTexts(data) {
+    const texts = [];
+    const add = (field, value) => {
+        if (typeof value === 'string' && value.trim()) texts.push({ field, text: value });
+        else if (Array.isArray(value)) value.forEach(item => add(field, item));
+        else if (value && typeof value === 'object') Object.values(value).forEach(item => add(field, item));
+    };
+    ['title', 'summary', 'background_read', 'keywords', 'questions', 'perspectives', 'Article_Structure'].forEach(field => add(field, data[field]));
+    return texts;
+}
+
+function worse(a, b) {
+    return VERDICTS.indexOf(a) >= VERDICTS.indexOf(b) ? a : b;
+}
+
+/**
+ * Check one level's payload (or the Chinese listing entry). Returns
+ * { verdict, score, matches: [{ topic, term, field, count }] }
+ */
+function checkLevel(data, level, rules) {
+    const limits = rules.levels[level] || rules.levels.middle;
+    const topics = [{ id: 'blocklist', weight: 0, block: Object.keys(rules.levels), terms: rules.blocklist || [] }, ...rules.topics];
+    const texts = levelTexts(data || {});
+    const matches = [];
+    let score = 0;
+    let verdict = 'ok';
+
+    topics.forEach(topic => {
+        topic.terms.forEach(term => {
+            const pattern = termPattern(term);
+            const byField = new Map();
+            texts.forEach(({ field, text }) => {
+                const count = (text.match(pattern) || []).length;
+                if (count) byField.set(field, (byField.get(field) || 0) + count);
+            });
+            if (!byField.size) return;
+            byField.forEach((count, field) => matches.push({ topic: topic.id, term, field, count }));
+            const total = [...byField.values()].reduce((sum, count) => sum + count, 0);
+            score += topic.weight * Math.min(total, MAX_COUNT_PER_TERM);
+            if ((topic.block || []).includes(level)) verdict = 'block';
+        });
+    });
+
+    if (score >= limits.block) verdict = 'block';
+    else if (score >= limits.flag) verdict = worse(verdict, 'flag');
+    return { verdict, score, matches };
+}
+
+/**
+ * Check every level of an article_reviews row's content
+ * ({ listings: { easy, middle, high, cn }, payloads: { easy, middle, high } }).
+ * Returns { verdict, levels: { <level>: checkLevel() } } where verdict is the
+ * worst level's
+ */
+function checkArticle(content, rules) {
+    const levels = {};
+    Object.keys(rules.levels).forEach(level => {
+        const data = level === 'cn' ? content.listings.cn : content.payloads[level];
+        if (data) levels[level] = checkLevel(data, level, rules);
+    });
+    const verdict = Object.values(levels).reduce((result, check) => worse(result, check.verdict), 'ok');
+    return { verdict, levels };
+}
+
+function printReport(results) {
+    results.forEach(({ id, title, safety }) => {
+        if (safety.verdict === 'ok') return;
+        console.log(`\n${safety.verdict === 'block' ? '⛔' : '⚠️ '} ${id} ${title}`);
+        Object.entries(safety.levels).forEach(([level, check]) => {
+            if (check.verdict === 'ok' && !check.matches.length) return;
+            const found = check.matches.map(m => `${m.term}${m.count > 1 ? ` ×${m.count}` : ''} (${m.topic}, ${m.field})`).join(', ');
+            console.log(`  ${level}: ${check.verdict}, score ${check.score}${found ? ` - ${found}` : ''}`);
+        });
+    });
+    const count = verdict => results.filter(result => result.safety.verdict === verdict).length;
+    console.log(`\n${results.length} articles checked: ${count('ok')} ok, ${count('flag')} flagged, ${count('block')} blocked at one or more levels`);
+}
+
+function parseArgs(argv) {
+    const args = { dir: null, rules: DEFAULT_RULES, json: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--rules') args.rules = argv[++i];
+        else if (arg === '--json') args.json = argv[++i];
+        else if (!arg.startsWith('--') && !args.dir) args.dir = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+// Exported before the command line runs: moderation_queue.js requires this file
+module.exports = { loadRules, checkLevel, checkArticle, printReport };
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const { readEdition } = require('./moderation_queue');
+        const rules = loadRules(args.rules);
+        const { rows } = readEdition(args.dir || path.join(__dirname, '..'));
+        const results = rows.map(row => ({
+            id: row.article_id,
+            title: (row.content.listings.middle || row.content.payloads.middle || {}).title || '',
+            safety: checkArticle(row.content, rules)
+        }));
+        printReport(results);
+        if (args.json) fs.writeFileSync(args.json, JSON.stringify(results, null, 2) + '\n');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
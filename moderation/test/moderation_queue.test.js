@@ -0,0 +1,215 @@
+// Moderation Queue tests
+// Each case copies fixtures/site into its own temporary directory: a live
+// 2026-04-26 edition from before the review queue (live_news, live_science,
+// live_fun) and a 2026-04-27 edition staged in incoming/ (new_news1,
+// new_news2, new_science, whose Relax text the safety check blocks, and
+// new_fun). The staged edition is submitted to a --reviews file, reviewed by
+// editing that file's rows, then published.
+//
+// Usage: node --test moderation/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { submitEdition, publishApproved, fileStore } = require('../moderation_queue');
+const { validatePayloads } = require('../../validator/validate_payloads');
+
+const SITE = path.join(__dirname, 'fixtures', 'site');
+const LIVE = '2026-04-26';
+const STAGED = '2026-04-27';
+const STORAGE = 'https://storage.example.com/website';
+const NEW_IDS = ['new_news1', 'new_news2', 'new_science', 'new_fun'];
+
+/**
+ * A copy of the fixture site with the staged edition submitted to a reviews
+ * file, and its article payloads in storage as the generator uploads them
+ */
+async function queuedSite(t, name) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), `moderation-${name}-`));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.cpSync(SITE, root, { recursive: true });
+    const reviews = path.join(root, 'reviews.json');
+    await submitEdition(path.join(root, 'incoming', STAGED), fileStore(reviews));
+    editReviews(reviews, data => {
+        data.storage = {};
+        NEW_IDS.forEach(id => ['easy', 'middle', 'high'].forEach(level => {
+            data.storage[storageUrl(STAGED, id, level)] = { generated: true };
+        }));
+    });
+    return { root, reviews };
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function editReviews(file, edit) {
+    const data = readJson(file);
+    edit(data);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// Review the queue as the admin Articles tab would: { <id>: status }
+function review(file, statuses, edit = () => {}) {
+    editReviews(file, data => {
+        data.reviews.forEach(row => {
+            if (statuses[row.article_id]) row.status = statuses[row.article_id];
+            edit(row);
+        });
+    });
+}
+
+function publish(root, reviews, options) {
+    return publishApproved(root, fileStore(reviews), options);
+}
+
+function storageUrl(date, id, level) {
+    return `${STORAGE}/${date}/article_payloads/payload_${id}/${level}.json`;
+}
+
+function listingIds(root, category, level) {
+    return readJson(path.join(root, 'payloads', `articles_${category}_${level}.json`)).articles.map(entry => entry.id);
+}
+
+function dirNames(root, dir) {
+    return fs.readdirSync(path.join(root, dir)).sort();
+}
+
+test('nothing approved leaves the live edition as it is', async t => {
+    const { root, reviews } = await queuedSite(t, 'none');
+    const before = fs.readFileSync(path.join(root, 'manifest.json'), 'utf8');
+
+    const result = await publish(root, reviews);
+    assert.strictEqual(result.changed, false);
+    assert.strictEqual(result.date, LIVE);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'), before);
+    assert.deepStrictEqual(dirNames(root, 'article_payloads'), ['payload_live_fun', 'payload_live_news', 'payload_live_science']);
+    assert.ok(fs.existsSync(path.join(root, 'incoming', STAGED)));
+});
+
+test('approved articles go live with their edits and rejected ones nowhere', async t => {
+    const { root, reviews } = await queuedSite(t, 'review');
+    review(reviews, { new_news1: 'approved', new_news2: 'rejected', new_science: 'approved', new_fun: 'approved' }, row => {
+        if (row.article_id !== 'new_news1') return;
+        row.content.listings.easy.title = 'Pupils plant a school garden';
+        row.content.payloads.easy.title = 'Pupils plant a school garden';
+    });
+
+    const result = await publish(root, reviews);
+    assert.strictEqual(result.changed, true);
+    assert.strictEqual(result.promoted, true);
+    assert.strictEqual(result.date, STAGED);
+    assert.strictEqual(result.published, 3);
+    assert.strictEqual(result.removed, 2);
+
+    const manifest = readJson(path.join(root, 'manifest.json'));
+    assert.strictEqual(manifest.date, STAGED);
+    assert.match(manifest.review.approved, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(listingIds(root, 'news', 'easy'), ['new_news1']);
+    assert.deepStrictEqual(listingIds(root, 'news', 'cn'), ['new_news1']);
+    assert.deepStrictEqual(listingIds(root, 'fun', 'high'), ['new_fun']);
+    assert.strictEqual(readJson(path.join(root, 'payloads', 'articles_news_easy.json')).articles[0].title, 'Pupils plant a school garden');
+    assert.strictEqual(readJson(path.join(root, 'article_payloads', 'payload_new_news1', 'easy.json')).title, 'Pupils plant a school garden');
+    assert.deepStrictEqual(readJson(path.join(root, 'payloads', 'archive_index.json')).dates.map(item => item.date), [STAGED, LIVE, '2026-04-25']);
+
+    // The live edition's files make way; the rejected article never arrives
+    assert.deepStrictEqual(dirNames(root, 'article_payloads'), ['payload_live_science', 'payload_new_fun', 'payload_new_news1', 'payload_new_science']);
+    assert.deepStrictEqual(dirNames(root, 'article_images'), ['live_science.webp', 'new_fun.webp', 'new_news1.webp', 'new_science.webp']);
+    assert.deepStrictEqual(dirNames(root, 'incoming'), [STAGED]);
+
+    // Storage has the edited text of published levels and nothing rejected
+    const { storage } = readJson(reviews);
+    assert.strictEqual(storage[storageUrl(STAGED, 'new_news1', 'easy')].title, 'Pupils plant a school garden');
+    assert.strictEqual(storage[storageUrl(STAGED, 'new_fun', 'high')].title, 'A cat rides a skateboard');
+    ['easy', 'middle', 'high'].forEach(level => assert.strictEqual(storage[storageUrl(STAGED, 'new_news2', level)], undefined));
+    assert.deepStrictEqual(storage[`${STORAGE}/${STAGED}/payloads/articles_news_middle.json`].articles.map(entry => entry.id), ['new_news1']);
+
+    assert.deepStrictEqual(validatePayloads(root).errors, []);
+});
+
+test('a listing with no approved articles keeps its live ones', async t => {
+    const { root, reviews } = await queuedSite(t, 'carried');
+    review(reviews, { new_news1: 'approved', new_science: 'approved', new_fun: 'rejected' });
+
+    const result = await publish(root, reviews);
+    assert.strictEqual(result.carried, 2);
+    ['easy', 'middle', 'high', 'cn'].forEach(level => assert.deepStrictEqual(listingIds(root, 'fun', level), ['live_fun']));
+    assert.ok(fs.existsSync(path.join(root, 'article_payloads', 'payload_live_fun', 'easy.json')));
+    assert.ok(fs.existsSync(path.join(root, 'article_images', 'live_fun.webp')));
+    assert.ok(!fs.existsSync(path.join(root, 'article_payloads', 'payload_new_fun')));
+
+    // In storage the edition's own listing stays empty
+    const { storage } = readJson(reviews);
+    assert.deepStrictEqual(storage[`${STORAGE}/${STAGED}/payloads/articles_fun_easy.json`], { articles: [] });
+    assert.strictEqual(storage[storageUrl(STAGED, 'new_fun', 'easy')], undefined);
+    assert.deepStrictEqual(validatePayloads(root).errors, []);
+});
+
+test('publish writes nothing when a listing would be left empty', async t => {
+    const { root, reviews } = await queuedSite(t, 'empty');
+    review(reviews, { new_news1: 'approved', new_science: 'approved', new_fun: 'rejected' });
+    // The live fun article was rejected too
+    editReviews(reviews, data => {
+        data.reviews.push({ article_id: 'live_fun', edition_date: LIVE, category: 'fun', position: 0, status: 'rejected', content: {} });
+    });
+    const before = fs.readFileSync(path.join(root, 'payloads', 'articles_news_easy.json'), 'utf8');
+
+    await assert.rejects(publish(root, reviews), /articles_fun_easy\.json would be left empty/);
+    assert.strictEqual(readJson(path.join(root, 'manifest.json')).date, LIVE);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'payloads', 'articles_news_easy.json'), 'utf8'), before);
+    assert.ok(fs.existsSync(path.join(root, 'article_payloads', 'payload_live_news')));
+    assert.ok(readJson(reviews).storage[storageUrl(STAGED, 'new_news1', 'easy')].generated);
+});
+
+test('a level the safety check blocks is left out until it is reworded', async t => {
+    const { root, reviews } = await queuedSite(t, 'blocked');
+    review(reviews, { new_news1: 'approved', new_science: 'approved', new_fun: 'approved' });
+    const science = () => readJson(reviews).reviews.find(row => row.article_id === 'new_science');
+    assert.strictEqual(science().safety.levels.easy.verdict, 'block');
+
+    const result = await publish(root, reviews);
+    assert.strictEqual(result.blockedLevels, 1);
+    assert.deepStrictEqual(listingIds(root, 'science', 'easy'), ['live_science']);
+    assert.deepStrictEqual(listingIds(root, 'science', 'middle'), ['new_science']);
+    let { storage } = readJson(reviews);
+    assert.strictEqual(storage[storageUrl(STAGED, 'new_science', 'easy')], undefined);
+    assert.strictEqual(storage[storageUrl(STAGED, 'new_science', 'middle')].title, 'The mystery of the vanishing bees');
+
+    // The edited text is checked again on the next publish
+    review(reviews, {}, row => {
+        if (row.article_id === 'new_science') row.content.payloads.easy.background_read = ['Nobody knew where the bees went.'];
+    });
+    const again = await publish(root, reviews);
+    assert.strictEqual(again.changed, true);
+    assert.strictEqual(again.promoted, false);
+    assert.strictEqual(again.blockedLevels, 0);
+    assert.strictEqual(science().safety.levels.easy.verdict, 'ok');
+    assert.deepStrictEqual(listingIds(root, 'science', 'easy'), ['new_science']);
+    ({ storage } = readJson(reviews));
+    assert.deepStrictEqual(storage[storageUrl(STAGED, 'new_science', 'easy')].background_read, ['Nobody knew where the bees went.']);
+    assert.ok(!fs.existsSync(path.join(root, 'article_payloads', 'payload_live_science')));
+});
+
+test('publishing the same approved set again does nothing unless forced', async t => {
+    const { root, reviews } = await queuedSite(t, 'unchanged');
+    review(reviews, { new_news1: 'approved', new_science: 'approved', new_fun: 'approved' });
+    await publish(root, reviews);
+    const manifest = fs.readFileSync(path.join(root, 'manifest.json'), 'utf8');
+
+    // A pending article being rejected does not change what is published
+    review(reviews, { new_news2: 'rejected' });
+    const result = await publish(root, reviews);
+    assert.deepStrictEqual(result, { date: STAGED, changed: false, promoted: false, published: 0, carried: 0, removed: 0, blockedLevels: 0 });
+    assert.strictEqual(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'), manifest);
+
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'moderation_queue.js'), 'publish', root, '--reviews', reviews], { encoding: 'utf8' });
+    assert.match(output, /Edition 2026-04-27: approved articles unchanged, nothing to publish/);
+
+    const forced = await publish(root, reviews, { force: true });
+    assert.strictEqual(forced.changed, true);
+    assert.strictEqual(forced.published, 3);
+    assert.strictEqual(readJson(path.join(root, 'manifest.json')).review.approved, JSON.parse(manifest).review.approved);
+});
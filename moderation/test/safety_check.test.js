@@ -0,0 +1,92 @@
+// Content Safety Check tests
+// checkLevel() and checkArticle() against small inline rules, so each score
+// can be worked out by hand, and against safety_rules.json for the fields a
+// child is shown.
+//
+// Usage: node --test moderation/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRules, checkLevel, checkArticle } = require('../safety_check');
+
+const RULES = {
+    levels: {
+        easy: { flag: 2, block: 6 },
+        middle: { flag: 4, block: 10 },
+        high: { flag: 6, block: 16 },
+        cn: { flag: 4, block: 10 }
+    },
+    blocklist: ['darn'],
+    topics: [
+        { id: 'violence', weight: 2, block: ['easy'], terms: ['attack', '袭击'] },
+        { id: 'weather', weight: 2, terms: ['storm', 'storm surge'] }
+    ]
+};
+
+// An article_reviews row's content with the same payload at every level
+function content(payload, cn = { title: payload.title, summary: payload.summary }) {
+    return { listings: { cn }, payloads: { easy: payload, middle: payload, high: payload } };
+}
+
+function verdicts(safety) {
+    return Object.fromEntries(Object.entries(safety.levels).map(([level, check]) => [level, check.verdict]));
+}
+
+test('a blocklisted word blocks every level', () => {
+    const safety = checkArticle(content({ title: 'Darn, the bus is late', summary: 'It rained.' }), RULES);
+    assert.strictEqual(safety.verdict, 'block');
+    assert.deepStrictEqual(verdicts(safety), { easy: 'block', middle: 'block', high: 'block', cn: 'block' });
+    assert.deepStrictEqual(safety.levels.high.matches, [{ topic: 'blocklist', term: 'darn', field: 'title', count: 1 }]);
+});
+
+test('a topic blocks only the levels it lists; elsewhere its score counts', () => {
+    const once = checkArticle(content({ title: 'An attack on the castle', summary: 'Knights defended it.' }), RULES);
+    assert.deepStrictEqual(verdicts(once), { easy: 'block', middle: 'ok', high: 'ok', cn: 'ok' });
+    assert.strictEqual(once.levels.middle.score, 2);
+
+    const twice = checkLevel({ title: 'An attack on the castle', summary: 'A second attack failed.' }, 'middle', RULES);
+    assert.strictEqual(twice.verdict, 'flag');
+    assert.strictEqual(twice.score, 4);
+    assert.strictEqual(checkLevel({ summary: 'Attack and attack again.' }, 'high', RULES).verdict, 'ok');
+});
+
+test('a repeated term adds to the score at most 3 times per level', () => {
+    const check = checkLevel({ title: 'Storm after storm', summary: 'The storm hit a town. Then a storm hit a farm, and one more storm.' }, 'middle', RULES);
+    assert.deepStrictEqual(check.matches, [
+        { topic: 'weather', term: 'storm', field: 'title', count: 2 },
+        { topic: 'weather', term: 'storm', field: 'summary', count: 3 }
+    ]);
+    // Five matches but only three count: 3 x weight 2 is a flag, not the 10 that blocks
+    assert.strictEqual(check.score, 6);
+    assert.strictEqual(check.verdict, 'flag');
+});
+
+test('English terms match whole words in any case, across line breaks', () => {
+    const none = checkLevel({ title: 'The attacker scored', summary: 'A counterattack and a brainstorm.' }, 'easy', RULES);
+    assert.deepStrictEqual(none, { verdict: 'ok', score: 0, matches: [] });
+
+    const found = checkLevel({ title: 'ATTACK!', summary: 'A storm\nsurge flooded the road.' }, 'high', RULES);
+    assert.deepStrictEqual(found.matches.map(match => match.term), ['attack', 'storm', 'storm surge']);
+});
+
+test('Chinese terms match anywhere in the text', () => {
+    const safety = checkArticle(content({ title: 'A quiet day', summary: 'Nothing happened.' }, { title: '城堡遭到袭击', summary: '骑士们保卫了城堡。' }), RULES);
+    assert.deepStrictEqual(verdicts(safety), { easy: 'ok', middle: 'ok', high: 'ok', cn: 'ok' });
+    assert.deepStrictEqual(safety.levels.cn.matches, [{ topic: 'violence', term: '袭击', field: 'title', count: 1 }]);
+    assert.strictEqual(safety.levels.cn.score, 2);
+});
+
+test('the perspectives debate and the structure worksheet are checked', () => {
+    const rules = loadRules();
+    const debate = checkLevel({
+        title: 'A school trip',
+        summary: 'The class visited a farm.',
+        perspectives: [{ perspective: 'Critics', description: 'suicide rape fuck' }]
+    }, 'easy', rules);
+    assert.strictEqual(debate.verdict, 'block');
+    assert.deepStrictEqual([...new Set(debate.matches.map(match => match.field))], ['perspectives']);
+
+    const worksheet = checkLevel({ title: 'A school trip', Article_Structure: ['Evidence: witnesses saw the gunman run away.'] }, 'easy', rules);
+    assert.strictEqual(worksheet.verdict, 'block');
+    assert.deepStrictEqual(worksheet.matches, [{ topic: 'violence', term: 'gunman', field: 'Article_Structure', count: 1 }]);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Daily Push Sender
+// Sends one "new articles" notification per push subscription when
+// manifest.json has a date the subscription has not been told about yet.
+// Each notification names the reader's preferred category and level, as
+// stored with the subscription by user_manager/push_notifications.js.
+//
+// Usage:
+//   node push/send_daily_push.js [--manifest <file or URL>] [--subscriptions <file>] [--dry-run] [--force]
+//   node push/send_daily_push.js --generate-keys
+//
+// Subscriptions come from the Supabase push_subscriptions table
+// (SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY) or, with --subscriptions, from a
+// JSON file of the same rows, e.g. the one written by stand_in_push_server.js.
+// VAPID keys are read from VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT.
+// Exits with status 1 when any notification failed.
+
+const fs = require('fs');
+const path = require('path');
+const { generateVapidKeys, sendNotification } = require('./web_push');
+
+const CATEGORY_NAMES = { news: 'News', science: 'Science', fun: 'Fun' };
+const LEVEL_NAMES = { easy: 'Relax', middle: 'Enjoy', high: 'Research', cn: 'Chinese' };
+
+/**
+ * Notification for one subscription row on a new edition date:
+ * { title, body, url, tag }, read by the push handler in sw.js
+ */
+function buildMessage(row, date) {
+    const category = CATEGORY_NAMES[row.category] ? row.category : 'news';
+    const level = LEVEL_NAMES[row.level] ? row.level : 'middle';
+    const params = new URLSearchParams({ source: 'push' });
+    if (level === 'cn') {
+        params.set('lang', 'cn');
+    } else {
+        params.set('lang', 'en');
+        params.set('level', level);
+    }
+    params.set('category', category);
+
+    return {
+        title: '📰 New stories are here!',
+        body: level === 'cn'
+            ? `Today's ${CATEGORY_NAMES[category]} stories in Chinese are ready to read.`
+            : `Today's ${CATEGORY_NAMES[category]} stories at the ${LEVEL_NAMES[level]} level are ready to read.`,
+        url: `/?${params.toString()}`,
+        tag: `daily-${date}`
+    };
+}
+
+async function readJson(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`${source}: HTTP ${response.status}`);
+        return response.json();
+    }
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+// Where subscription rows are read from and written back to
+function fileStore(file) {
+    let rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const write = () => fs.writeFileSync(file, JSON.stringify(rows, null, 2) + '\n');
+    return {
+        list: async () => rows,
+        markNotified: async (row, date) => {
+            row.last_notified_date = date;
+            write();
+        },
+        remove: async row => {
+            rows = rows.filter(other => other.endpoint !== row.endpoint);
+            write();
+        }
+    };
+}
+
+function supabaseStore(url, serviceKey) {
+    const table = `${url.replace(/\/$/, '')}/rest/v1/push_subscriptions`;
+    const headers = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}`, 'Content-Type': 'application/json' };
+    const request = async (query, options = {}) => {
+        const response = await fetch(`${table}${query}`, { headers, ...options });
+        if (!response.ok) throw new Error(`push_subscriptions: HTTP ${response.status} ${await response.text()}`);
+        return response;
+    };
+    const byEndpoint = row => `?endpoint=eq.${encodeURIComponent(row.endpoint)}`;
+    return {
+        list: async () => (await request('?select=*')).json(),
+        markNotified: (row, date) => request(byEndpoint(row), { method: 'PATCH', body: JSON.stringify({ last_notified_date: date }) }),
+        remove: row => request(byEndpoint(row), { method: 'DELETE' })
+    };
+}
+
+/**
+ * Notify every subscription not yet told about manifest.date. Returns
+ * { date, sent, skipped, removed, failed }
+ */
+async function sendDailyPush({ manifest, store, vapid, dryRun = false, force = false, log = console.log }) {
+    const date = manifest.date;
+    if (!date) throw new Error('manifest has no date');
+    const result = { date, sent: 0, skipped: 0, removed: 0, failed: 0 };
+
+    for (const row of await store.list()) {
+        if (!force && row.last_notified_date === date) {
+            result.skipped++;
+            continue;
+        }
+        const message = buildMessage(row, date);
+        if (dryRun) {
+            log(`• ${row.endpoint}\n  ${message.body} → ${message.url}`);
+            result.sent++;
+            continue;
+        }
+        try {
+            const { statusCode, body } = await sendNotification(row.subscription, JSON.stringify(message), vapid);
+            if (statusCode === 404 || statusCode === 410) {
+                // The browser dropped this subscription; forget it
+                await store.remove(row);
+                result.removed++;
+                log(`🗑️  ${row.endpoint} expired (${statusCode})`);
+            } else if (statusCode >= 200 && statusCode < 300) {
+                await store.markNotified(row, date);
+                result.sent++;
+                log(`✓ ${row.endpoint}`);
+            } else {
+                result.failed++;
+                log(`❌ ${row.endpoint}: HTTP ${statusCode} ${body}`);
+            }
+        } catch (error) {
+            result.failed++;
+            log(`❌ ${row.endpoint}: ${error.message}`);
+        }
+    }
+    return result;
+}
+
+function parseArgs(argv) {
+    const args = { manifest: path.join(__dirname, '..', 'manifest.json'), subscriptions: null, dryRun: false, force: false, generateKeys: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--manifest') args.manifest = argv[++i];
+        else if (arg === '--subscriptions') args.subscriptions = argv[++i];
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--force') args.force = true;
+        else if (arg === '--generate-keys') args.generateKeys = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.generateKeys) {
+        const keys = generateVapidKeys();
+        console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+        console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+        console.log('\nPut the public key in window.PUSH_VAPID_PUBLIC_KEY on index.html; keep the private key secret.');
+        return;
+    }
+
+    const vapid = {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com'
+    };
+    if (!args.dryRun && (!vapid.publicKey || !vapid.privateKey)) {
+        throw new Error('Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (node push/send_daily_push.js --generate-keys)');
+    }
+
+    let store;
+    if (args.subscriptions) {
+        store = fileStore(args.subscriptions);
+    } else if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        store = supabaseStore(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    } else {
+        throw new Error('Pass --subscriptions <file> or set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    const manifest = await readJson(args.manifest);
+    const result = await sendDailyPush({ manifest, store, vapid, dryRun: args.dryRun, force: args.force });
+    console.log(`\n${result.failed ? '❌' : '✅'} Edition ${result.date}: ${result.sent} sent${args.dryRun ? ' (dry run)' : ''}, ${result.skipped} already notified, ${result.removed} expired, ${result.failed} failed`);
+    if (result.failed) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildMessage, sendDailyPush, fileStore, supabaseStore };
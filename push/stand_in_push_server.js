@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Stand-in Push Endpoint
+// A local stand-in for a browser vendor's push service, for trying
+// send_daily_push.js without real browsers. It makes up subscribers with
+// their own keys, writes them as push_subscriptions rows, then checks the
+// VAPID signature on every POST, decrypts the payload and prints it.
+//
+// Usage: node push/stand_in_push_server.js [--port 8790] [--subscribers 2] [--out <file>] [--exit-after <n>]
+//
+//   node push/stand_in_push_server.js --out /tmp/subscriptions.json
+//   node push/send_daily_push.js --subscriptions /tmp/subscriptions.json   (in another terminal)
+//
+// Unknown endpoints answer 410 Gone, the way a real push service reports an
+// unsubscribed browser.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { decryptPayload, verifyVapidAuthorization } = require('./web_push');
+
+const SAMPLE_PREFERENCES = [
+    { category: 'news', level: 'middle' },
+    { category: 'science', level: 'easy' },
+    { category: 'fun', level: 'high' },
+    { category: 'news', level: 'cn' }
+];
+
+function parseArgs(argv) {
+    const args = { port: 8790, subscribers: 2, out: path.join(__dirname, 'test_subscriptions.json'), exitAfter: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') args.port = Number(argv[++i]);
+        else if (arg === '--subscribers') args.subscribers = Number(argv[++i]);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--exit-after') args.exitAfter = Number(argv[++i]);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+// A browser's side of a subscription: its ECDH key pair and auth secret
+function makeSubscriber(id, port, preferences) {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const keys = {
+        privateKey: ecdh.getPrivateKey().toString('base64url'),
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: crypto.randomBytes(16).toString('base64url')
+    };
+    const endpoint = `http://localhost:${port}/push/${id}`;
+    return {
+        keys,
+        row: {
+            endpoint,
+            user_id: `stand-in-user-${id}`,
+            profile_id: 'default',
+            subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+            category: preferences.category,
+            level: preferences.level,
+            last_notified_date: null
+        }
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const subscribers = new Map();
+    for (let i = 1; i <= args.subscribers; i++) {
+        subscribers.set(String(i), makeSubscriber(i, args.port, SAMPLE_PREFERENCES[(i - 1) % SAMPLE_PREFERENCES.length]));
+    }
+    fs.writeFileSync(args.out, JSON.stringify([...subscribers.values()].map(s => s.row), null, 2) + '\n');
+
+    let received = 0;
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const match = /^\/push\/([\w-]+)$/.exec(req.url);
+            const subscriber = match && subscribers.get(match[1]);
+            if (req.method !== 'POST' || !subscriber) {
+                res.writeHead(410).end('Gone');
+                return;
+            }
+
+            const claims = verifyVapidAuthorization(req.headers.authorization);
+            if (!claims || claims.aud !== `http://localhost:${args.port}` || claims.exp * 1000 < Date.now()) {
+                console.log(`❌ /push/${match[1]}: bad VAPID authorization`);
+                res.writeHead(403).end('Bad VAPID authorization');
+                return;
+            }
+            if (req.headers['content-encoding'] !== 'aes128gcm') {
+                res.writeHead(415).end('Expected aes128gcm');
+                return;
+            }
+
+            try {
+                const payload = JSON.parse(decryptPayload(subscriber.keys, Buffer.concat(chunks)));
+                console.log(`🔔 /push/${match[1]} (${subscriber.row.category}/${subscriber.row.level}, TTL ${req.headers.ttl}, from ${claims.sub})`);
+                console.log(`   ${payload.title} ${payload.body}\n   → ${payload.url}`);
+                res.writeHead(201).end();
+            } catch (error) {
+                console.log(`❌ /push/${match[1]}: could not decrypt (${error.message})`);
+                res.writeHead(400).end('Could not decrypt');
+                return;
+            }
+
+            received++;
+            if (args.exitAfter && received >= args.exitAfter) server.close();
+        });
+    });
+
+    server.listen(args.port, () => {
+        console.log(`Stand-in push service on http://localhost:${args.port}`);
+        console.log(`${subscribers.size} subscriptions written to ${args.out}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,172 @@
+// Web Push (RFC 8291 message encryption + RFC 8292 VAPID)
+// Just enough of the protocol to send one encrypted notification to a
+// browser push subscription, using only node's crypto so the sender runs with
+// a bare `node`. The stand-in push server uses decryptPayload() to read what
+// it receives.
+//
+// Keys are base64url strings, the same format as PushSubscription.toJSON():
+//   subscription = { endpoint, keys: { p256dh, auth } }
+//   vapid = { publicKey, privateKey, subject }   (subject: "mailto:..." or a URL)
+
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+function b64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function fromB64url(text) {
+    return Buffer.from(text, 'base64url');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// HKDF with a single expand round (every output here is 32 bytes or less)
+function hkdf(salt, ikm, info, length) {
+    const prk = hmac(salt, ikm);
+    return hmac(prk, Buffer.concat([info, Buffer.from([1])])).subarray(0, length);
+}
+
+// 65-byte uncompressed P-256 point from a JWK, and back
+function rawPublicKey(jwk) {
+    return Buffer.concat([Buffer.from([4]), fromB64url(jwk.x), fromB64url(jwk.y)]);
+}
+
+function publicJwk(raw) {
+    return { kty: 'EC', crv: 'P-256', x: b64url(raw.subarray(1, 33)), y: b64url(raw.subarray(33, 65)) };
+}
+
+/**
+ * New VAPID key pair: { publicKey, privateKey } (base64url; the public key
+ * goes to the browser as applicationServerKey)
+ */
+function generateVapidKeys() {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    return { publicKey: b64url(rawPublicKey(jwk)), privateKey: jwk.d };
+}
+
+function vapidPrivateKey(vapid) {
+    return crypto.createPrivateKey({
+        key: { ...publicJwk(fromB64url(vapid.publicKey)), d: vapid.privateKey },
+        format: 'jwk'
+    });
+}
+
+/**
+ * Authorization header value for an endpoint: "vapid t=<JWT>, k=<public key>"
+ */
+function vapidAuthorization(endpoint, vapid, now = Date.now()) {
+    const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = b64url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now / 1000) + JWT_LIFETIME_SECONDS,
+        sub: vapid.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: vapidPrivateKey(vapid),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Check a VAPID Authorization header; returns the JWT claims or null
+ */
+function verifyVapidAuthorization(value) {
+    const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(value || '');
+    if (!match) return null;
+    const [, header, claims, signature, publicKey] = match;
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+        key: crypto.createPublicKey({ key: publicJwk(fromB64url(publicKey)), format: 'jwk' }),
+        dsaEncoding: 'ieee-p1363'
+    }, fromB64url(signature));
+    return valid ? JSON.parse(fromB64url(claims).toString('utf8')) : null;
+}
+
+// Content key and nonce shared by both ends (RFC 8291 section 3.4)
+function deriveKeys(sharedSecret, authSecret, uaPublic, asPublic, salt) {
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+    return {
+        key: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+    };
+}
+
+/**
+ * Encrypt a payload for a subscription; returns the aes128gcm request body
+ */
+function encryptPayload(subscription, payload) {
+    const uaPublic = fromB64url(subscription.keys.p256dh);
+    const authSecret = fromB64url(subscription.keys.auth);
+    const ecdh = crypto.createECDH('prime256v1');
+    const asPublic = ecdh.generateKeys();
+    const salt = crypto.randomBytes(16);
+    const { key, nonce } = deriveKeys(ecdh.computeSecret(uaPublic), authSecret, uaPublic, asPublic, salt);
+
+    // A single record: the payload followed by the last-record delimiter
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    const record = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+    return Buffer.concat([header, asPublic, record]);
+}
+
+/**
+ * Decrypt an aes128gcm body with the subscriber's keys:
+ * keys = { privateKey, p256dh, auth } (base64url)
+ */
+function decryptPayload(keys, body) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const asPublic = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(fromB64url(keys.privateKey));
+    const uaPublic = fromB64url(keys.p256dh);
+    const { key, nonce } = deriveKeys(ecdh.computeSecret(asPublic), fromB64url(keys.auth), uaPublic, asPublic, salt);
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+    // Strip the delimiter and any zero padding after the payload
+    const end = padded.lastIndexOf(2);
+    return padded.subarray(0, end).toString('utf8');
+}
+
+/**
+ * Push one notification. Resolves to { statusCode, body }; 404 and 410 mean
+ * the subscription is gone and should be deleted.
+ */
+async function sendNotification(subscription, payload, vapid, { ttl = 24 * 60 * 60, urgency = 'normal' } = {}) {
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            'Authorization': vapidAuthorization(subscription.endpoint, vapid),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            'TTL': String(ttl),
+            'Urgency': urgency
+        },
+        body: encryptPayload(subscription, payload)
+    });
+    return { statusCode: response.status, body: await response.text() };
+}
+
+module.exports = {
+    generateVapidKeys,
+    vapidAuthorization,
+    verifyVapidAuthorization,
+    encryptPayload,
+    decryptPayload,
+    sendNotification
+};
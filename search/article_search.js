@@ -0,0 +1,270 @@
+// Article Search (module)
+// Client-side full-text index over titles, summaries and keywords for today's
+// payloads and every dated payload set listed in archive_index.json.
+//
+// Listings (payloads/articles_<category>_<level>.json) are indexed per date on
+// demand; keywords come from each article's middle-level payload afterwards.
+// Files are loaded through NewsData (data_source/news_data.js), which keeps
+// archived dates in the Cache API.
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const LEVELS = ['easy', 'middle', 'high', 'cn'];
+const KEYWORD_LEVEL = 'middle';
+
+// Title hits rank above keyword hits, which rank above summary hits
+const FIELD_WEIGHTS = { title: 3, keywords: 2, summary: 1 };
+
+// Hiragana, Katakana, CJK ideographs (incl. extension A and compatibility), Hangul
+const CJK_CLASS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const TOKEN_PATTERN = new RegExp(`[${CJK_CLASS}]+|(?:(?![${CJK_CLASS}])[\\p{L}\\p{N}])+`, 'gu');
+const CJK_PATTERN = new RegExp(`^[${CJK_CLASS}]`, 'u');
+
+/**
+ * Split text into index terms. Latin text splits on word boundaries; CJK text
+ * has no spaces, so every character and every overlapping bigram is a term.
+ */
+function tokenize(text) {
+    const tokens = [];
+    const runs = String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+    runs.forEach(run => {
+        if (CJK_PATTERN.test(run)) {
+            for (let i = 0; i < run.length; i++) {
+                tokens.push(run[i]);
+                if (i + 1 < run.length) tokens.push(run.slice(i, i + 2));
+            }
+        } else {
+            tokens.push(run);
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Query terms: CJK runs become bigrams (a phrase match without a dictionary),
+ * single CJK characters stay as they are, one-letter Latin words are dropped.
+ */
+function queryTokens(text) {
+    const tokens = [];
+    const runs = String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+    runs.forEach(run => {
+        if (CJK_PATTERN.test(run)) {
+            if (run.length === 1) {
+                tokens.push(run);
+            } else {
+                for (let i = 0; i + 1 < run.length; i++) tokens.push(run.slice(i, i + 2));
+            }
+        } else if (run.length > 1) {
+            tokens.push({ prefix: run });
+        }
+    });
+    return tokens;
+}
+
+class ArticleSearch {
+    constructor() {
+        this.docs = new Map();      // docId -> document
+        this.postings = new Map();  // term -> Map(docId -> weight)
+        this.sources = [];          // [{ date, edition, today }]
+        this.indexed = new Map();   // date -> Promise of listings indexed
+        this.keywordsIndexed = new Set();
+    }
+
+    /**
+     * Read today's date from manifest.json and every archived date from archive_index.json
+     */
+    async loadSources() {
+        if (this.sources.length) return this.sources;
+
+        let today = null;
+        try {
+            today = (await NewsData.manifest()).date;
+        } catch (error) {
+            console.warn('Search: manifest.json unavailable, using local date for today');
+        }
+        today = today || localDate(new Date());
+
+        this.sources = [{ date: today, edition: NewsData.forDate(), today: true }];
+
+        try {
+            const archive = await (await fetch('/payloads/archive_index.json')).json();
+            (archive.dates || []).forEach(item => {
+                if (item.date === today || !item.payloads_url) return;
+                this.sources.push({ date: item.date, edition: NewsData.forDate(item.date), today: false });
+            });
+        } catch (error) {
+            console.warn('Search: archive_index.json unavailable, searching today only', error);
+        }
+
+        this.sources.sort((a, b) => b.date.localeCompare(a.date));
+        return this.sources;
+    }
+
+    /**
+     * Index every date in [from, to] (YYYY-MM-DD, inclusive) that is not indexed yet
+     */
+    async ensureRange(from, to, onProgress) {
+        const sources = (await this.loadSources()).filter(s => (!from || s.date >= from) && (!to || s.date <= to));
+        let done = 0;
+        for (const source of sources) {
+            await this.indexDate(source);
+            done++;
+            if (onProgress) onProgress(done, sources.length);
+        }
+        // Keywords are a slower second pass; results improve as they arrive
+        for (const source of sources) {
+            await this.indexKeywords(source);
+            if (onProgress) onProgress(done, sources.length, source.date);
+        }
+    }
+
+    indexDate(source) {
+        if (!this.indexed.has(source.date)) {
+            this.indexed.set(source.date, this.fetchListings(source));
+        }
+        return this.indexed.get(source.date);
+    }
+
+    async fetchListings(source) {
+        const jobs = [];
+        CATEGORIES.forEach(category => {
+            LEVELS.forEach(level => {
+                jobs.push(source.edition.listing(category, level)
+                    .then(data => {
+                        (data.articles || []).forEach(article => {
+                            this.addDocument({
+                                id: `${source.date}|${level}|${article.id}`,
+                                articleId: article.id,
+                                date: source.date,
+                                today: source.today,
+                                category,
+                                level,
+                                title: article.title || '',
+                                summary: article.summary || '',
+                                keywords: [],
+                                imageUrl: article.image_url || ''
+                            });
+                        });
+                    })
+                    .catch(error => console.warn('Search: could not index', source.date, category, level, error.message)));
+            });
+        });
+        await Promise.all(jobs);
+    }
+
+    async indexKeywords(source) {
+        if (this.keywordsIndexed.has(source.date)) return;
+        this.keywordsIndexed.add(source.date);
+        await this.indexDate(source);
+
+        const articleIds = new Set();
+        this.docs.forEach(doc => {
+            if (doc.date === source.date && doc.level !== 'cn') articleIds.add(doc.articleId);
+        });
+
+        for (const articleId of articleIds) {
+            try {
+                const payload = await source.edition.article(articleId, KEYWORD_LEVEL);
+                const terms = (payload.keywords || []).map(kw => kw.term || kw.title).filter(Boolean);
+                if (terms.length === 0) continue;
+
+                // English keywords apply to every English level of the article
+                ['easy', 'middle', 'high'].forEach(level => {
+                    const doc = this.docs.get(`${source.date}|${level}|${articleId}`);
+                    if (!doc) return;
+                    doc.keywords = terms;
+                    this.addField(doc.id, terms.join(' '), FIELD_WEIGHTS.keywords);
+                });
+            } catch (error) {
+                console.warn('Search: no keywords for', source.date, articleId);
+            }
+        }
+    }
+
+    addDocument(doc) {
+        this.docs.set(doc.id, doc);
+        this.addField(doc.id, doc.title, FIELD_WEIGHTS.title);
+        this.addField(doc.id, doc.summary, FIELD_WEIGHTS.summary);
+    }
+
+    addField(docId, text, weight) {
+        new Set(tokenize(text)).forEach(term => {
+            let posting = this.postings.get(term);
+            if (!posting) {
+                posting = new Map();
+                this.postings.set(term, posting);
+            }
+            posting.set(docId, Math.max(posting.get(docId) || 0, weight));
+        });
+    }
+
+    /**
+     * Documents matching every query term, best first.
+     * filters: { category, level, from, to, limit }
+     */
+    search(query, { category = '', level = '', from = '', to = '', limit = 50 } = {}) {
+        const tokens = queryTokens(query);
+        if (tokens.length === 0) return [];
+
+        let scores = null;
+        tokens.forEach(token => {
+            const matches = new Map();
+            if (typeof token === 'string') {
+                (this.postings.get(token) || new Map()).forEach((weight, docId) => matches.set(docId, weight));
+            } else {
+                // Latin words match as prefixes so partial typing finds results
+                this.postings.forEach((posting, term) => {
+                    if (!term.startsWith(token.prefix)) return;
+                    const exact = term === token.prefix ? 1 : 0.5;
+                    posting.forEach((weight, docId) => {
+                        matches.set(docId, Math.max(matches.get(docId) || 0, weight * exact));
+                    });
+                });
+            }
+
+            if (scores === null) {
+                scores = matches;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, docId) => {
+                    if (matches.has(docId)) combined.set(docId, score + matches.get(docId));
+                });
+                scores = combined;
+            }
+        });
+
+        const results = [];
+        scores.forEach((score, docId) => {
+            const doc = this.docs.get(docId);
+            if (category && doc.category !== category) return;
+            if (level && doc.level !== level) return;
+            if (from && doc.date < from) return;
+            if (to && doc.date > to) return;
+            results.push({ ...doc, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || b.date.localeCompare(a.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Article page link; Chinese listings have no article page, so they open the English middle level
+     */
+    static articleUrl(doc) {
+        const level = doc.level === 'cn' ? 'middle' : doc.level;
+        const params = new URLSearchParams({ id: doc.articleId, level, category: doc.category });
+        if (!doc.today) params.set('date', doc.date);
+        return `/article_page/article.html?${params.toString()}`;
+    }
+}
+
+function localDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+window.ArticleSearch = ArticleSearch;
+
+export { tokenize, queryTokens };
+export default ArticleSearch;
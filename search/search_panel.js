@@ -0,0 +1,176 @@
+// Search Panel (module)
+// Modal search UI shared by index.html and archive/archive.html.
+// Usage: mountSearchPanel(document.getElementById('search-button'))
+
+import ArticleSearch from './article_search.js';
+
+const LEVEL_NAMES = { easy: 'Relax', middle: 'Enjoy', high: 'Research', cn: '中文' };
+const DEFAULT_RANGE_DAYS = 7;
+
+let search = null;
+let panel = null;
+let debounceTimer = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function daysAgo(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setDate(date.getDate() - days);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function createPanel() {
+    const wrapper = document.createElement('div');
+    wrapper.id = 'search-panel';
+    wrapper.className = 'hidden fixed inset-0 z-50 bg-black/50 items-start justify-center p-4 pt-16';
+    wrapper.innerHTML = `
+        <div class="w-full max-w-2xl bg-background-light dark:bg-background-dark rounded-xl shadow-xl flex flex-col max-h-[80vh]">
+            <div class="p-4 border-b border-border-light dark:border-border-dark space-y-3">
+                <div class="flex items-center gap-2">
+                    <span class="material-symbols-outlined text-subtle-light dark:text-subtle-dark">search</span>
+                    <input id="search-input" type="search" autocomplete="off" placeholder="Search articles... / 搜索文章..." class="flex-1 bg-transparent border-0 focus:ring-0 text-lg text-text-light dark:text-text-dark"/>
+                    <button id="search-close" class="p-1 rounded-lg hover:bg-border-light dark:hover:bg-border-dark" title="Close">
+                        <span class="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+                <div class="flex flex-wrap items-center gap-2 text-sm">
+                    <select id="search-category" class="rounded-lg py-1 text-sm bg-card-light dark:bg-card-dark border-border-light dark:border-border-dark">
+                        <option value="">All categories</option>
+                        <option value="news">News</option>
+                        <option value="science">Science</option>
+                        <option value="fun">Fun</option>
+                    </select>
+                    <select id="search-level" class="rounded-lg py-1 text-sm bg-card-light dark:bg-card-dark border-border-light dark:border-border-dark">
+                        <option value="">All levels</option>
+                        <option value="easy">Relax</option>
+                        <option value="middle">Enjoy</option>
+                        <option value="high">Research</option>
+                        <option value="cn">中文</option>
+                    </select>
+                    <label class="inline-flex items-center gap-1 text-subtle-light dark:text-subtle-dark">From
+                        <input id="search-from" type="date" class="rounded-lg py-1 text-sm bg-card-light dark:bg-card-dark border-border-light dark:border-border-dark"/>
+                    </label>
+                    <label class="inline-flex items-center gap-1 text-subtle-light dark:text-subtle-dark">To
+                        <input id="search-to" type="date" class="rounded-lg py-1 text-sm bg-card-light dark:bg-card-dark border-border-light dark:border-border-dark"/>
+                    </label>
+                </div>
+                <p id="search-status" class="text-xs text-subtle-light dark:text-subtle-dark"></p>
+            </div>
+            <div id="search-results" class="overflow-y-auto p-2"></div>
+        </div>
+    `;
+    document.body.appendChild(wrapper);
+
+    wrapper.addEventListener('click', e => {
+        if (e.target === wrapper) closePanel();
+    });
+    document.getElementById('search-close').addEventListener('click', closePanel);
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && !wrapper.classList.contains('hidden')) closePanel();
+    });
+
+    document.getElementById('search-input').addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(renderResults, 200);
+    });
+    ['search-category', 'search-level'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderResults);
+    });
+    ['search-from', 'search-to'].forEach(id => {
+        document.getElementById(id).addEventListener('change', indexRange);
+    });
+
+    return wrapper;
+}
+
+async function openPanel() {
+    if (!panel) panel = createPanel();
+    panel.classList.remove('hidden');
+    panel.classList.add('flex');
+    document.getElementById('search-input').focus();
+
+    if (!search) {
+        search = new ArticleSearch();
+        const sources = await search.loadSources();
+        const newest = sources[0].date;
+        const oldest = sources[sources.length - 1].date;
+        ['search-from', 'search-to'].forEach(id => {
+            const input = document.getElementById(id);
+            input.min = oldest;
+            input.max = newest;
+        });
+        // Start with the last week; widening the range indexes more days
+        const from = daysAgo(newest, DEFAULT_RANGE_DAYS - 1);
+        document.getElementById('search-from').value = from < oldest ? oldest : from;
+        document.getElementById('search-to').value = newest;
+        indexRange();
+    }
+}
+
+function closePanel() {
+    panel.classList.add('hidden');
+    panel.classList.remove('flex');
+}
+
+async function indexRange() {
+    const from = document.getElementById('search-from').value;
+    const to = document.getElementById('search-to').value;
+    const status = document.getElementById('search-status');
+
+    await search.ensureRange(from, to, (done, total, keywordsDate) => {
+        status.textContent = keywordsDate
+            ? `Searching ${total} day${total === 1 ? '' : 's'} · adding keywords from ${keywordsDate}...`
+            : `Loading articles: ${done} of ${total} day${total === 1 ? '' : 's'}...`;
+        renderResults();
+    });
+    status.textContent = '';
+    renderResults();
+}
+
+function renderResults() {
+    if (!search) return;
+    const query = document.getElementById('search-input').value;
+    const container = document.getElementById('search-results');
+
+    if (!query.trim()) {
+        container.innerHTML = '<p class="p-4 text-center text-sm text-subtle-light dark:text-subtle-dark">Type a word from a title, summary or keyword.</p>';
+        return;
+    }
+
+    const results = search.search(query, {
+        category: document.getElementById('search-category').value,
+        level: document.getElementById('search-level').value,
+        from: document.getElementById('search-from').value,
+        to: document.getElementById('search-to').value
+    });
+
+    if (results.length === 0) {
+        container.innerHTML = '<p class="p-4 text-center text-sm text-subtle-light dark:text-subtle-dark">No articles found. Try another word or a wider date range.</p>';
+        return;
+    }
+
+    container.innerHTML = results.map(doc => `
+        <a href="${ArticleSearch.articleUrl(doc)}" class="block p-3 rounded-lg hover:bg-card-light dark:hover:bg-card-dark">
+            <p class="font-bold leading-snug">${escapeHtml(doc.title)}</p>
+            <p class="text-xs text-subtle-light dark:text-subtle-dark mt-1">
+                ${doc.date} · ${doc.category.charAt(0).toUpperCase() + doc.category.slice(1)} · ${LEVEL_NAMES[doc.level] || doc.level}
+                ${doc.keywords.length ? ` · ${escapeHtml(doc.keywords.slice(0, 4).join(', '))}` : ''}
+            </p>
+            <p class="text-sm text-subtle-light dark:text-subtle-dark mt-1 line-clamp-2">${escapeHtml(doc.summary)}</p>
+        </a>
+    `).join('');
+}
+
+function mountSearchPanel(trigger) {
+    if (!trigger) return;
+    trigger.addEventListener('click', openPanel);
+}
+
+export { mountSearchPanel };
+export default mountSearchPanel;
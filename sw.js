@@ -0,0 +1,338 @@
+/**
+ * Service Worker - Offline reading
+ * Pre-caches today's payloads, article payloads and images (everything behind
+ * manifest.json) so the homepage and article pages keep working without wifi.
+ * A new manifest generated_at builds a fresh day cache and evicts the old one.
+ */
+
+// Bump with SHELL_FILES changes: activate then drops the old caches
+const SHELL_CACHE = 'kidsnews-shell-v2';
+const RUNTIME_CACHE = 'kidsnews-runtime-v2';
+const DAY_CACHE_PREFIX = 'kidsnews-day-';
+const READY_MARKER = '/__offline_ready__';
+// Archived payloads kept by data_source/news_data.js
+const SEARCH_CACHE = 'kidsnews-search-v1';
+
+// Page templates and static assets (tolerant: clean and .html URLs both tried)
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/article_page/article',
+    '/article_page/article.html',
+    '/article_page/narrator.js',
+    '/article_page/reading_tracker.js',
+    '/article_page/quiz_types.js',
+    '/article_page/keyword_games.js',
+    '/article_page/perspective_debate.js',
+    '/article_page/structure_worksheet.js',
+    '/archive/archive',
+    '/archive/archive.html',
+    '/archive/archive_browser.js',
+    '/vocabulary',
+    '/vocabulary.html',
+    '/mistakes',
+    '/mistakes.html',
+    '/assets/fonts/newsreader.css',
+    '/assets/fonts/material-symbols.css',
+    '/assets/fonts/material-symbols.woff2',
+    '/assets/js/alpine.min.js',
+    '/app.webmanifest',
+    '/assets/icons/icon.svg',
+    '/assets/icons/icon-192.png',
+    '/assets/icons/icon-512.png',
+    '/user_manager/user_manager.css',
+    '/user_manager/account_manager.js',
+    '/user_manager/user_backends.js',
+    '/user_manager/stats_sync.js',
+    '/user_manager/user_manager_supabase.js',
+    '/user_manager/vocabulary.js',
+    '/user_manager/achievements.js',
+    '/user_manager/level_advisor.js',
+    '/user_manager/quiz_mistakes.js',
+    '/user_manager/push_notifications.js',
+    '/user_manager/classroom.js',
+    '/data_source/news_data.js',
+    '/search/article_search.js',
+    '/search/search_panel.js',
+    '/bilingual/bilingual_reader.js'
+];
+
+// Third-party scripts the pages cannot render without (Tailwind runtime, Supabase client)
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net'];
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const LISTING_LEVELS = ['easy', 'middle', 'high', 'cn'];
+const ARTICLE_LEVELS = ['easy', 'middle', 'high'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_FILES.map(url => cacheQuietly(cache, url))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, RUNTIME_CACHE, SEARCH_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => !keep.includes(key) && !key.startsWith(DAY_CACHE_PREFIX))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+
+        try {
+            const response = await fetch('/manifest.json', { cache: 'no-store' });
+            if (response.ok) await refreshDayCache(await response.json());
+        } catch (error) {
+            console.log('[SW] Offline during activate, keeping existing day cache');
+        }
+    })());
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'refresh-offline-cache') {
+        event.waitUntil(
+            fetch('/manifest.json', { cache: 'no-store' })
+                .then(res => res.json())
+                .then(manifest => refreshDayCache(manifest))
+                .catch(err => console.log('[SW] Manual refresh failed:', err))
+        );
+    }
+});
+
+// Daily new-articles notification from push/send_daily_push.js: { title, body, url, tag }
+self.addEventListener('push', event => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (error) {
+        message = { body: event.data.text() };
+    }
+    event.waitUntil(self.registration.showNotification(message.title || 'News Oh,Ye!', {
+        body: message.body || 'New stories are ready to read.',
+        icon: '/assets/icons/icon-192.png',
+        badge: '/assets/icons/icon-192.png',
+        tag: message.tag || 'daily-news',
+        data: { url: message.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (open) {
+            await open.focus();
+            return open.navigate(url);
+        }
+        return self.clients.openWindow(url);
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) {
+            event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.pathname === '/manifest.json') {
+        event.respondWith(networkFirstManifest(event, request));
+    } else if (url.pathname.startsWith('/payloads/') || url.pathname.startsWith('/article_payloads/')) {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith('/article_images/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (/\.(?:js|css)$/.test(url.pathname)) {
+        event.respondWith(networkFirstAsset(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Build the cache for a manifest's edition, then drop every older day cache
+ */
+async function refreshDayCache(manifest) {
+    if (!manifest || !manifest.generated_at) return;
+
+    const cacheName = DAY_CACHE_PREFIX + manifest.generated_at;
+    const existing = await caches.open(cacheName);
+    if (await existing.match(READY_MARKER)) return;
+
+    console.log(`[SW] Caching edition ${manifest.date} (${manifest.generated_at})`);
+
+    const urls = new Set(['/manifest.json', '/payloads/archive_index.json']);
+    const listings = [];
+    CATEGORIES.forEach(category => {
+        LISTING_LEVELS.forEach(level => {
+            const listingUrl = `/payloads/articles_${category}_${level}.json`;
+            urls.add(listingUrl);
+            listings.push(listingUrl);
+        });
+    });
+
+    // Listings name every article id and image for the day
+    for (const listingUrl of listings) {
+        try {
+            const response = await fetch(listingUrl, { cache: 'no-store' });
+            if (!response.ok) continue;
+            const data = await response.clone().json();
+            await existing.put(listingUrl, response);
+            (data.articles || []).forEach(article => {
+                ARTICLE_LEVELS.forEach(level => {
+                    urls.add(`/article_payloads/payload_${article.id}/${level}.json`);
+                });
+                if (article.image_url && article.image_url.startsWith('/')) {
+                    urls.add(article.image_url);
+                }
+            });
+        } catch (error) {
+            console.log('[SW] Could not read listing', listingUrl, error);
+        }
+    }
+
+    listings.forEach(url => urls.delete(url));
+    const results = await Promise.all([...urls].map(url => cacheQuietly(existing, url)));
+    const cached = results.filter(Boolean).length + listings.length;
+
+    await existing.put(READY_MARKER, new Response(JSON.stringify({
+        generated_at: manifest.generated_at,
+        date: manifest.date,
+        files: cached
+    }), { headers: { 'Content-Type': 'application/json' } }));
+
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(DAY_CACHE_PREFIX) && key !== cacheName)
+        .map(key => caches.delete(key)));
+
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({
+        type: 'offline-ready',
+        generated_at: manifest.generated_at,
+        date: manifest.date,
+        files: cached
+    }));
+    console.log(`[SW] ✓ Edition ${manifest.date} available offline (${cached} files)`);
+}
+
+async function cacheQuietly(cache, url) {
+    try {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) return false;
+        await cache.put(url, await unredirect(response));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Vercel cleanUrls redirects *.html; redirected responses cannot answer navigations
+async function unredirect(response) {
+    if (!response.redirected) return response;
+    const body = await response.blob();
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put(new URL(request.url).pathname, await unredirect(response.clone()));
+        }
+        return response;
+    } catch (error) {
+        const path = new URL(request.url).pathname;
+        const candidates = [path, path.endsWith('.html') ? path.slice(0, -5) : `${path}.html`, '/'];
+        for (const candidate of candidates) {
+            const cached = await caches.match(candidate, { ignoreSearch: true });
+            if (cached) return cached;
+        }
+        throw error;
+    }
+}
+
+// Scripts and styles change together with the pages that load them, so an
+// old copy is only used offline
+async function networkFirstAsset(request) {
+    const path = new URL(request.url).pathname;
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(path, await unredirect(response.clone()));
+        return response;
+    } catch (error) {
+        const cached = await cache.match(path);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function networkFirstManifest(event, request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            event.waitUntil(response.clone().json().then(refreshDayCache).catch(() => {}));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match('/manifest.json');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
@@ -0,0 +1,591 @@
+// Account Manager (module)
+// The UserManager every page uses: activity stats in localStorage, child
+// profiles, reading style, sign-in, stats sync and account deletion. Anything
+// that needs a server goes through a backend adapter from user_backends.js,
+// chosen at runtime (window.USER_BACKEND or ?backend=...):
+//
+//   const userManager = createUserManager();        // configured backend
+//   const userManager = new AccountManager(new LocalBackend({ persist: false }));
+//
+// userManager.ready resolves once the session is restored; a 'userchange'
+// event is dispatched on window after every login and logout. Signed-in
+// stats are merged across devices by stats_sync.js.
+
+import createUserBackend from './user_backends.js';
+import StatsSync from './stats_sync.js';
+
+// Homepage URL for each reading style
+const STYLE_PAGES = {
+    'relax': '/?lang=en&level=easy',
+    'enjoy': '/?lang=en&level=middle',
+    'research': '/?lang=en&level=high',
+    'chinese': '/?lang=cn'
+};
+
+// Child profiles: the account's original stats and reading style belong to
+// the 'default' profile; the active profile is remembered per device
+const DEFAULT_PROFILE_ID = 'default';
+const ACTIVE_PROFILE_KEY = 'news_active_profile';
+const PROFILE_AVATARS = ['🦊', '🐼', '🦁', '🐸', '🐙', '🦄', '🐢', '🚀'];
+
+class AccountManager {
+    constructor(backend = createUserBackend()) {
+        this.backend = backend;
+        this.user = null;
+        this.profile = null; // { id, email, display_name, role, preferences }
+        this.readingStyle = 'enjoy';
+        this.stats = {};
+        this.loginPromise = null;
+        this.statsSync = new StatsSync(this);
+
+        this.ready = this.init();
+    }
+
+    // The Supabase client for pages that query their own tables; null on other backends
+    get supabase() {
+        return this.backend.client;
+    }
+
+    async init() {
+        // Load stats from localStorage to preserve existing behavior
+        this.loadStats();
+
+        try {
+            const user = await this.backend.init(user => this.handleAuthChange(user));
+            if (user) await this.handleAuthChange(user);
+        } catch (err) {
+            console.error('Could not restore the session', err);
+        }
+
+        // Expose to window for compatibility with existing code
+        window.userManager = this;
+        console.log(`✅ User manager initialized (${this.backend.name} backend)`);
+    }
+
+    // Backends may report the same session more than once (restore, token refresh)
+    handleAuthChange(user) {
+        if (!user) {
+            if (this.user) this.onLogout();
+            return Promise.resolve();
+        }
+        if (this.loginPromise && this.user && this.user.id === user.id) return this.loginPromise;
+        this.loginPromise = this.onLogin(user);
+        return this.loginPromise;
+    }
+
+    // The default profile keeps the original news_stats key
+    statsKey(profileId = localStorage.getItem(ACTIVE_PROFILE_KEY)) {
+        return profileId && profileId !== DEFAULT_PROFILE_ID ? `news_stats_${profileId}` : 'news_stats';
+    }
+
+    loadStats() {
+        try {
+            const statsJson = localStorage.getItem(this.statsKey());
+            this.stats = statsJson ? JSON.parse(statsJson) : {};
+        } catch (e) {
+            this.stats = {};
+        }
+    }
+
+    // Every change is synced a few seconds later; the sync itself saves with { sync: false }
+    saveStats({ sync = true } = {}) {
+        localStorage.setItem(this.statsKey(), JSON.stringify(this.stats || {}));
+        if (sync) this.statsSync.schedule();
+    }
+
+    isRegistered() {
+        return !!this.user;
+    }
+
+    // ===== Child profiles (account preferences.profiles) =====
+
+    profiles() {
+        const preferences = (this.profile && this.profile.preferences) || {};
+        if (Array.isArray(preferences.profiles) && preferences.profiles.length) {
+            return preferences.profiles;
+        }
+        const email = (this.user && this.user.email) || '';
+        return [{
+            id: DEFAULT_PROFILE_ID,
+            name: (this.profile && this.profile.display_name) || email.split('@')[0] || 'Reader',
+            avatar: PROFILE_AVATARS[0],
+            readingStyle: preferences.readingStyle || this.readingStyle
+        }];
+    }
+
+    activeProfile() {
+        const profiles = this.profiles();
+        const activeId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+        return profiles.find(p => p.id === activeId) || profiles[0];
+    }
+
+    // Merge into preferences so profiles and readingStyle never overwrite each other
+    async savePreferences(changes) {
+        if (!this.profile || !this.profile.id) return false;
+        const preferences = { ...(this.profile.preferences || {}), ...changes };
+        try {
+            await this.backend.savePreferences(preferences);
+        } catch (error) {
+            console.error('Failed to update profile preferences', error);
+            return false;
+        }
+        this.profile.preferences = preferences;
+        return true;
+    }
+
+    async addProfile(name, readingStyle = 'enjoy', avatar = null) {
+        const profiles = this.profiles();
+        const profile = {
+            id: `p${Date.now().toString(36)}`,
+            name: name.trim(),
+            avatar: avatar || PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length],
+            readingStyle
+        };
+        const saved = await this.savePreferences({ profiles: [...profiles, profile] });
+        return saved ? profile : null;
+    }
+
+    async removeProfile(profileId) {
+        if (profileId === DEFAULT_PROFILE_ID) return false;
+        const saved = await this.savePreferences({ profiles: this.profiles().filter(p => p.id !== profileId) });
+        if (!saved) return false;
+        localStorage.removeItem(`news_stats_${profileId}`);
+        if (localStorage.getItem(ACTIVE_PROFILE_KEY) === profileId) this.switchProfile(DEFAULT_PROFILE_ID, { navigate: false });
+        return true;
+    }
+
+    /**
+     * Make a profile active on this device: its stats, reading style and homepage
+     */
+    switchProfile(profileId, { navigate = true } = {}) {
+        const profile = this.profiles().find(p => p.id === profileId);
+        if (!profile) return;
+
+        localStorage.setItem(ACTIVE_PROFILE_KEY, profile.id);
+        sessionStorage.setItem('news_profile_chosen', '1');
+        this.loadStats();
+        this.readingStyle = profile.readingStyle || this.readingStyle;
+        localStorage.setItem('news_reading_style', this.readingStyle);
+        window.dispatchEvent(new CustomEvent('profilechange', { detail: profile }));
+
+        if (!navigate) return;
+        const onHomepage = window.location.pathname === '/' || window.location.pathname.endsWith('/index.html');
+        if (onHomepage && STYLE_PAGES[this.readingStyle]) {
+            window.location.href = STYLE_PAGES[this.readingStyle];
+        } else {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * "Who's reading?" picker; also lets a parent add a profile
+     */
+    openProfilePicker() {
+        const existing = document.getElementById('profile-picker-modal');
+        if (existing) existing.remove();
+
+        const active = this.activeProfile();
+        const styleNames = { relax: 'Relax', enjoy: 'Enjoy', research: 'Research', chinese: 'Chinese' };
+        const escape = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <div id="profile-picker-modal" class="user-modal" style="display:flex;">
+                <div class="user-modal-content">
+                    <span class="user-modal-close" id="profile-picker-close">&times;</span>
+                    <h2>Who's reading?</h2>
+                    <div class="profile-grid">
+                        ${this.profiles().map(p => `
+                            <button class="profile-option ${p.id === active.id ? 'profile-option-active' : ''}" data-profile-id="${escape(p.id)}">
+                                <span class="profile-avatar">${escape(p.avatar || PROFILE_AVATARS[0])}</span>
+                                <span class="profile-name">${escape(p.name)}</span>
+                                <span class="profile-style">${styleNames[p.readingStyle] || ''}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                    <form id="profile-add-form" style="margin-top:16px;">
+                        <h3>Add a reader</h3>
+                        <div class="form-group">
+                            <label for="profile-add-name">Name</label>
+                            <input id="profile-add-name" type="text" required maxlength="30" placeholder="Child's name" />
+                        </div>
+                        <div class="form-group">
+                            <label for="profile-add-style">Reading style</label>
+                            <select id="profile-add-style">
+                                <option value="relax">Relax</option>
+                                <option value="enjoy" selected>Enjoy</option>
+                                <option value="research">Research</option>
+                                <option value="chinese">Chinese</option>
+                            </select>
+                        </div>
+                        <button type="submit" class="btn-secondary">➕ Add Profile</button>
+                    </form>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(wrapper);
+
+        const close = () => {
+            sessionStorage.setItem('news_profile_chosen', '1');
+            wrapper.remove();
+        };
+        document.getElementById('profile-picker-close').onclick = close;
+
+        wrapper.querySelectorAll('.profile-option').forEach(button => {
+            button.onclick = () => {
+                const profileId = button.getAttribute('data-profile-id');
+                wrapper.remove();
+                if (profileId === active.id) {
+                    sessionStorage.setItem('news_profile_chosen', '1');
+                } else {
+                    this.switchProfile(profileId);
+                }
+            };
+        });
+
+        document.getElementById('profile-add-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const name = document.getElementById('profile-add-name').value.trim();
+            const style = document.getElementById('profile-add-style').value;
+            if (!name) return;
+
+            const profile = await this.addProfile(name, style);
+            if (!profile) {
+                alert('❌ Could not add profile. Please try again.');
+                return;
+            }
+            wrapper.remove();
+            this.switchProfile(profile.id);
+        };
+    }
+
+    async onLogin(user) {
+        this.user = user;
+
+        // A reading style chosen before following a magic link
+        const pendingStyle = await this.backend.takePendingReadingStyle();
+        if (pendingStyle) {
+            console.log('Found pending reading style during onLogin:', pendingStyle);
+            this.readingStyle = pendingStyle;
+            localStorage.setItem('news_reading_style', pendingStyle);
+
+            // Redirect to the selected reading style page
+            const redirectUrl = STYLE_PAGES[pendingStyle] || '/';
+
+            // Only redirect if we're not already on the right page
+            const currentUrl = window.location.href;
+            if (!currentUrl.includes(redirectUrl.substring(1))) {
+                console.log('Redirecting to:', redirectUrl);
+                window.location.href = redirectUrl;
+                return;
+            }
+        }
+
+        // fetch or create the account record
+        try {
+            this.profile = await this.backend.loadAccount({ readingStyle: this.readingStyle });
+            const active = this.activeProfile();
+            if (active.readingStyle) {
+                this.readingStyle = active.readingStyle;
+            }
+        } catch (err) {
+            console.error('Failed to load/create profile', err);
+        }
+
+        // Save readingStyle locally for compatibility
+        localStorage.setItem('news_reading_style', this.readingStyle);
+
+        // Shared devices: ask who is reading once per browser session
+        if (this.profiles().length > 1 && !sessionStorage.getItem('news_profile_chosen')) {
+            this.openProfilePicker();
+        }
+
+        window.userManager = this;
+        window.dispatchEvent(new CustomEvent('userchange', { detail: user }));
+        // Bring in what other devices recorded (and retry anything left unsynced)
+        this.statsSync.schedule(0);
+
+        // Optionally call any callback
+        if (typeof this.onReady === 'function') this.onReady();
+    }
+
+    async onLogout() {
+        this.user = null;
+        this.profile = null;
+        this.loginPromise = null;
+        this.statsSync.cancel();
+        // Guests go back to the device's default stats
+        if (localStorage.getItem(ACTIVE_PROFILE_KEY)) {
+            localStorage.removeItem(ACTIVE_PROFILE_KEY);
+            sessionStorage.removeItem('news_profile_chosen');
+            this.loadStats();
+        }
+        // keep readingStyle in localStorage so guest preferences persist
+        window.dispatchEvent(new CustomEvent('userchange', { detail: null }));
+        console.log('User logged out');
+    }
+
+    /**
+     * Sign-in modal: email for every backend, plus the backend's providers (Google)
+     */
+    async openLoginSubscribeModal() {
+        const existing = document.getElementById('account-login-modal');
+        if (existing) existing.parentElement.remove();
+
+        const google = this.backend.providers.includes('google');
+        const modalHtml = `
+            <div id="account-login-modal" class="user-modal" style="display:flex;">
+                <div class="user-modal-content">
+                    <span class="user-modal-close" id="account-login-close">&times;</span>
+                    <h2>Sign in</h2>
+                    <p>${google ? 'Use Google or email magic link.' : 'Sign in with your email.'}</p>
+                    ${google ? `
+                    <div style="display:flex;gap:8px;margin-bottom:12px;">
+                        <button id="account-google" class="btn-primary">Continue with Google</button>
+                    </div>
+                    ` : ''}
+                    <form id="account-email-form">
+                        <label for="account-email">Email</label>
+                        <input id="account-email" type="email" required placeholder="you@example.com" />
+                        <button type="submit" class="btn-primary">${this.backend.name === 'supabase' ? 'Send Magic Link' : 'Sign In'}</button>
+                    </form>
+                    <div style="margin-top:12px;">
+                        <label for="account-reading-style">Reading style</label>
+                        <select id="account-reading-style">
+                            <option value="relax">Relax</option>
+                            <option value="enjoy" selected>Enjoy</option>
+                            <option value="research">Research</option>
+                            <option value="chinese">Chinese</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = modalHtml;
+        document.body.appendChild(wrapper);
+
+        const chosenStyle = () => {
+            const styleEl = document.getElementById('account-reading-style');
+            this.readingStyle = styleEl?.value || this.readingStyle;
+            return this.readingStyle;
+        };
+
+        document.getElementById('account-login-close').onclick = () => wrapper.remove();
+        if (google) {
+            document.getElementById('account-google').onclick = async () => {
+                await this.backend.signInWithProvider('google', { readingStyle: chosenStyle() });
+            };
+        }
+
+        document.getElementById('account-email-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('account-email').value.trim();
+            const readingStyle = chosenStyle();
+
+            if (!email) return alert('Please enter an email');
+
+            try {
+                const result = await this.backend.signIn(email, { readingStyle });
+                wrapper.remove();
+                if (result === 'link_sent') {
+                    alert('✅ Magic link sent! Check your inbox and click the link to sign in.');
+                }
+            } catch (error) {
+                console.error('Sign-in error:', error);
+                alert(this.backend.name === 'supabase'
+                    ? '❌ Error sending magic link: ' + error.message + '\n\nPlease verify SMTP settings in Supabase dashboard.'
+                    : '❌ Could not sign in: ' + error.message);
+            }
+        };
+    }
+
+    async changeReadingStyle(newStyle) {
+        this.readingStyle = newStyle;
+        localStorage.setItem('news_reading_style', newStyle);
+
+        if (this.profile && this.profile.id) {
+            try {
+                // Only the active child's style changes; the default profile also mirrors preferences.readingStyle
+                const active = this.activeProfile();
+                const changes = {};
+                const preferences = this.profile.preferences || {};
+                if (Array.isArray(preferences.profiles) && preferences.profiles.length) {
+                    changes.profiles = preferences.profiles.map(p => p.id === active.id ? { ...p, readingStyle: newStyle } : p);
+                }
+                if (active.id === DEFAULT_PROFILE_ID) changes.readingStyle = newStyle;
+                await this.savePreferences(changes);
+            } catch (err) { console.error(err); }
+        }
+        // apply preference if needed by site
+        if (typeof this.applyUserPreference === 'function') this.applyUserPreference();
+    }
+
+    async isAdmin() {
+        if (!this.profile) return false;
+        return this.profile.role === 'admin';
+    }
+
+    async logout() {
+        await this.backend.signOut();
+        // the backend reports the change, which runs onLogout
+    }
+
+    // Keep compatible method names used by pages
+    // Pass { silent: true } for background syncs that should not alert
+    async syncStats({ silent = false } = {}) {
+        if (!this.user) {
+            if (!silent) alert('Please sign in to sync stats');
+            return false;
+        }
+
+        try {
+            // Merge with other devices, then push only what changed
+            await this.statsSync.sync();
+            if (!silent) alert('✅ Stats synced');
+            return true;
+        } catch (err) {
+            console.error(err);
+            if (!silent) alert('Failed to sync stats: ' + (err.message || err));
+            return false;
+        }
+    }
+
+    /**
+     * Each child's synced stats as { profile_id, stats, created_at }, newest
+     * first; children never synced key by key fall back to their last
+     * whole-object snapshot from before merge sync
+     */
+    async loadStatsSnapshots() {
+        if (!this.user) return [];
+        const byProfile = new Map();
+        (await this.backend.pullStats(null, null)).forEach(row => {
+            const profileId = row.profile_id || DEFAULT_PROFILE_ID;
+            if (!byProfile.has(profileId)) byProfile.set(profileId, { profile_id: profileId, stats: {}, created_at: row.synced_at });
+            const snapshot = byProfile.get(profileId);
+            snapshot.stats[row.key] = row.value;
+            if (row.synced_at > snapshot.created_at) snapshot.created_at = row.synced_at;
+        });
+
+        let legacy = [];
+        try {
+            legacy = await this.backend.loadStatsSnapshots();
+        } catch (error) {
+            console.warn('No whole-object snapshots:', error.message);
+        }
+        legacy.forEach(row => {
+            const profileId = row.profile_id || DEFAULT_PROFILE_ID;
+            if (!byProfile.has(profileId)) byProfile.set(profileId, row);
+        });
+        return [...byProfile.values()].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    }
+
+    /**
+     * Delete the account on the server, forget every child's stats on this
+     * device and sign out. Pages confirm with the parent first.
+     */
+    async deleteAccount() {
+        if (!this.user) throw new Error('Please sign in first');
+        const profileIds = this.profiles().map(p => p.id);
+        await this.backend.deleteAccount();
+
+        profileIds.forEach(id => {
+            localStorage.removeItem(this.statsKey(id));
+            localStorage.removeItem(this.statsSync.metaKey(this.statsKey(id)));
+        });
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        sessionStorage.removeItem('news_profile_chosen');
+        this.stats = {};
+        if (this.user) await this.onLogout();
+    }
+
+    // Activity tracking (same keys as UserManager in user_manager.js)
+    // details: optional { category, level } used by progress reports
+    trackWordCompletion(articleId, wordId, details = {}) {
+        const key = `word_${articleId}_${wordId}`;
+        this.stats[key] = { ...details, completed: true, timestamp: Date.now() };
+        this.markActiveDay();
+        this.saveStats();
+    }
+
+    trackQuizCompletion(articleId, score, total, details = {}) {
+        const key = `quiz_${articleId}`;
+        this.stats[key] = {
+            ...details,
+            score: score,
+            total: total,
+            percentage: Math.round((score / total) * 100),
+            timestamp: Date.now()
+        };
+        this.markActiveDay();
+        this.saveStats();
+    }
+
+    // first_read stays when the article is opened again, for progress reports
+    trackArticleRead(articleId, details = {}) {
+        const key = `read_${articleId}`;
+        const now = Date.now();
+        const previous = this.stats[key] || {};
+        this.stats[key] = { ...details, read: true, first_read: previous.first_read || previous.timestamp || now, timestamp: now };
+        this.markActiveDay();
+        this.saveStats();
+    }
+
+    // Streaks are counted from active_<YYYY-MM-DD> entries (achievements.js):
+    // rereading or retaking moves an entry's timestamp, but a day stays active
+    markActiveDay(time = Date.now()) {
+        const date = new Date(time);
+        const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+        if (!this.stats[`active_${day}`]) this.stats[`active_${day}`] = { timestamp: time };
+    }
+
+    // response: { perspective, reason } from the article page's perspective debate
+    trackDebateResponse(articleId, response, details = {}) {
+        const key = `debate_${articleId}`;
+        this.stats[key] = { ...details, perspective: response.perspective, reason: response.reason, timestamp: Date.now() };
+        this.saveStats();
+    }
+
+    // answers: { mainPoint, purpose, evidence, rating } from the article page's structure worksheet
+    trackWorksheet(articleId, answers, details = {}) {
+        const key = `worksheet_${articleId}`;
+        const { mainPoint, purpose, evidence, rating } = answers;
+        this.stats[key] = { ...details, mainPoint, purpose, evidence, rating, timestamp: Date.now() };
+        this.saveStats();
+    }
+
+    // session: one visit's reading since the last call (ReadingTracker.takeSession()):
+    // time and visits add up, scroll depth keeps the deepest point, tabs are a union
+    trackReading(articleId, session, details = {}) {
+        const key = `reading_${articleId}`;
+        const entry = this.stats[key] || {};
+        const depth = { ...entry.depth };
+        Object.entries(session.depths || {}).forEach(([section, percent]) => {
+            depth[section] = Math.max(depth[section] || 0, percent);
+        });
+        this.stats[key] = {
+            ...entry,
+            ...details,
+            activeSeconds: (entry.activeSeconds || 0) + (session.seconds || 0),
+            visits: (entry.visits || 0) + (session.newVisit ? 1 : 0),
+            depth,
+            tabs: [...new Set([...(entry.tabs || []), ...(session.tabs || [])])],
+            timestamp: Date.now()
+        };
+        this.saveStats();
+    }
+}
+
+/**
+ * A manager on the backend this page is configured for
+ */
+function createUserManager(backend = createUserBackend()) {
+    return new AccountManager(backend);
+}
+
+window.AccountManager = AccountManager;
+window.createUserManager = createUserManager;
+
+export { createUserManager, STYLE_PAGES, DEFAULT_PROFILE_ID };
+export default AccountManager;
@@ -0,0 +1,206 @@
+// Streaks & Badges (module)
+// Derives reading streaks and achievement badges from news_stats activity:
+//   read_<articleId>, quiz_<articleId>, word_<articleId>_<wordId>
+//
+// Streak days come from active_<YYYY-MM-DD> = { timestamp } entries, added
+// once per day by the tracking calls, and from the activity timestamps for
+// days before those entries existed.
+//
+// Earned badges are remembered as badge_<id> = { earned, timestamp } so a new
+// badge is celebrated once and syncs to the server with the rest of the stats.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASS_PERCENTAGE = 60;
+
+const BADGES = [
+    { id: 'first_read', icon: '📖', name: 'First Story', description: 'Read your first article', test: s => s.articlesRead >= 1 },
+    { id: 'bookworm', icon: '📚', name: 'Bookworm', description: 'Read 10 articles', test: s => s.articlesRead >= 10 },
+    { id: 'news_hound', icon: '🗞️', name: 'News Hound', description: 'Read 50 articles', test: s => s.articlesRead >= 50 },
+    { id: 'streak_3', icon: '🔥', name: 'On Fire', description: 'Read 3 days in a row', test: s => s.longestStreak >= 3 },
+    { id: 'streak_7', icon: '🌟', name: 'Week Warrior', description: 'Read 7 days in a row', test: s => s.longestStreak >= 7 },
+    { id: 'streak_30', icon: '🏆', name: 'Reading Champion', description: 'Read 30 days in a row', test: s => s.longestStreak >= 30 },
+    { id: 'quiz_pass', icon: '✅', name: 'Quiz Starter', description: 'Pass your first quiz', test: s => s.quizzesPassed >= 1 },
+    { id: 'quiz_champ', icon: '🧠', name: 'Quiz Champ', description: 'Pass 10 quizzes', test: s => s.quizzesPassed >= 10 },
+    { id: 'perfect', icon: '💯', name: 'Perfect Score', description: 'Get every question right', test: s => s.perfectScores >= 1 },
+    { id: 'sharp_shooter', icon: '🎯', name: 'Sharp Shooter', description: 'Get 5 perfect scores', test: s => s.perfectScores >= 5 },
+    { id: 'word_collector', icon: '🔤', name: 'Word Collector', description: 'Learn 10 keywords', test: s => s.wordsLearned >= 10 },
+    { id: 'word_wizard', icon: '🪄', name: 'Word Wizard', description: 'Learn 50 keywords', test: s => s.wordsLearned >= 50 }
+];
+
+class Achievements {
+    constructor(userManager) {
+        this.userManager = userManager;
+    }
+
+    get stats() {
+        if (!this.userManager.stats) this.userManager.stats = {};
+        return this.userManager.stats;
+    }
+
+    /**
+     * Totals and streaks computed from the raw activity keys
+     */
+    summary() {
+        const days = new Set();
+        let articlesRead = 0;
+        let quizzesTaken = 0;
+        let quizzesPassed = 0;
+        let perfectScores = 0;
+        let wordsLearned = 0;
+
+        Object.keys(this.stats).forEach(key => {
+            const entry = this.stats[key];
+            if (!entry || typeof entry !== 'object') return;
+
+            if (key.startsWith('active_')) {
+                const [year, month, day] = key.slice('active_'.length).split('-').map(Number);
+                if (day) days.add(Math.round(Date.UTC(year, month - 1, day) / DAY_MS));
+                return;
+            }
+            if (key.startsWith('read_')) {
+                articlesRead++;
+            } else if (key.startsWith('quiz_')) {
+                quizzesTaken++;
+                if (entry.percentage >= PASS_PERCENTAGE) quizzesPassed++;
+                if (entry.total > 0 && entry.score === entry.total) perfectScores++;
+            } else if (key.startsWith('word_')) {
+                wordsLearned++;
+            } else {
+                return;
+            }
+            if (entry.timestamp) days.add(dayNumber(entry.timestamp));
+        });
+
+        return {
+            articlesRead,
+            quizzesTaken,
+            quizzesPassed,
+            perfectScores,
+            wordsLearned,
+            readingDays: days.size,
+            currentStreak: currentStreak(days),
+            longestStreak: longestStreak(days)
+        };
+    }
+
+    /**
+     * Every badge with an `earned` flag, in shelf order
+     */
+    badges() {
+        const summary = this.summary();
+        return BADGES.map(badge => ({
+            id: badge.id,
+            icon: badge.icon,
+            name: badge.name,
+            description: badge.description,
+            earned: badge.test(summary)
+        }));
+    }
+
+    /**
+     * Record badges earned since the last check and return them
+     */
+    checkNewBadges() {
+        const fresh = this.badges().filter(badge => badge.earned && !this.stats[`badge_${badge.id}`]);
+        if (fresh.length === 0) return [];
+
+        fresh.forEach(badge => {
+            this.stats[`badge_${badge.id}`] = { earned: true, timestamp: Date.now() };
+        });
+        this.userManager.saveStats();
+        return fresh;
+    }
+
+    /**
+     * Badge shelf markup for the user dropdown (styles in user_manager.css)
+     */
+    shelfHtml() {
+        const summary = this.summary();
+        const badges = this.badges();
+        const earned = badges.filter(badge => badge.earned).length;
+
+        return `
+            <div class="badge-shelf">
+                <div class="badge-shelf-header">
+                    <span>🔥 ${summary.currentStreak} day streak</span>
+                    <span>${earned}/${badges.length} badges</span>
+                </div>
+                <div class="badge-shelf-grid">
+                    ${badges.map(badge => `
+                        <span class="badge-item ${badge.earned ? '' : 'badge-locked'}" title="${badge.name}: ${badge.description}">${badge.icon}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Pop up a celebration for newly earned badges
+     */
+    celebrate(badges) {
+        if (!badges || badges.length === 0) return;
+
+        const existing = document.getElementById('badge-celebration');
+        if (existing) existing.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'badge-celebration';
+        overlay.className = 'badge-celebration';
+        overlay.innerHTML = `
+            <div class="badge-celebration-content">
+                <div class="badge-celebration-confetti">🎉</div>
+                <h2>${badges.length === 1 ? 'New Badge!' : `${badges.length} New Badges!`}</h2>
+                ${badges.map(badge => `
+                    <div class="badge-celebration-item">
+                        <span class="badge-celebration-icon">${badge.icon}</span>
+                        <div>
+                            <strong>${badge.name}</strong>
+                            <p>${badge.description}</p>
+                        </div>
+                    </div>
+                `).join('')}
+                <button class="btn-primary" id="badge-celebration-close">Awesome!</button>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const close = () => overlay.remove();
+        document.getElementById('badge-celebration-close').onclick = close;
+        overlay.addEventListener('click', e => {
+            if (e.target === overlay) close();
+        });
+    }
+}
+
+// Local calendar day as a whole number, so consecutive days differ by 1
+function dayNumber(timestamp) {
+    const date = new Date(timestamp);
+    return Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) / DAY_MS);
+}
+
+// A streak is still alive if the child read today or yesterday
+function currentStreak(days) {
+    const today = dayNumber(Date.now());
+    let day = days.has(today) ? today : today - 1;
+    let streak = 0;
+    while (days.has(day)) {
+        streak++;
+        day--;
+    }
+    return streak;
+}
+
+function longestStreak(days) {
+    const sorted = [...days].sort((a, b) => a - b);
+    let longest = 0;
+    let run = 0;
+    sorted.forEach((day, i) => {
+        run = i > 0 && day === sorted[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    return longest;
+}
+
+window.Achievements = Achievements;
+
+export default Achievements;
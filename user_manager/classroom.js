@@ -0,0 +1,231 @@
+// Classroom (module)
+// Teacher classroom mode. A teacher (role 'teacher' or 'admin') creates a
+// class, shares its join code and assigns article ids at a level with a due
+// date. Each child profile joins with the code on classroom.html; their
+// assignments are highlighted on index.html. The teacher's results grid and
+// leaderboard are built from the students' synced quiz_<articleId> entries.
+// Storage goes through the user manager's backend (user_backends.js).
+
+// No 0/O or 1/I, so codes can be read off a whiteboard
+const JOIN_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ATTEMPTS = 5;
+const TEACHER_ROLES = ['teacher', 'admin'];
+// Levels with an article payload and a quiz; Chinese is only a listing summary
+const ASSIGNMENT_LEVELS = ['easy', 'middle', 'high'];
+
+function randomJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_LETTERS[Math.floor(Math.random() * JOIN_CODE_LETTERS.length)];
+    }
+    return code;
+}
+
+function normalizeJoinCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Due dates are whole days (YYYY-MM-DD); work handed in any time that day is on time
+function dueTime(dueDate) {
+    return new Date(`${dueDate}T23:59:59.999`).getTime();
+}
+
+class Classroom {
+    constructor(userManager) {
+        this.userManager = userManager;
+    }
+
+    get backend() {
+        return this.userManager.backend;
+    }
+
+    requireUser() {
+        if (!this.userManager.user) throw new Error('Please sign in first');
+    }
+
+    isTeacher() {
+        return Boolean(this.userManager.profile && TEACHER_ROLES.includes(this.userManager.profile.role));
+    }
+
+    // ===== Teachers =====
+
+    async createClass(name) {
+        this.requireUser();
+        if (!this.isTeacher()) throw new Error('Only teachers can create classes');
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Please give the class a name');
+
+        for (let attempt = 0; attempt < JOIN_CODE_ATTEMPTS; attempt++) {
+            const classroom = await this.backend.createClassroom(trimmed, randomJoinCode());
+            if (classroom) return classroom;
+        }
+        throw new Error('Could not find a free join code, please try again');
+    }
+
+    async myClasses() {
+        if (!this.userManager.user || !this.isTeacher()) return [];
+        return this.backend.loadClassrooms();
+    }
+
+    async deleteClass(classroomId) {
+        this.requireUser();
+        await this.backend.deleteClassroom(classroomId);
+    }
+
+    /**
+     * assignment: { articleId, level, dueDate (YYYY-MM-DD), category, title,
+     * editionDate (YYYY-MM-DD edition the article is from, so it can still be
+     * opened from the archive once newer editions are out) }
+     */
+    async assign(classroomId, { articleId, level, dueDate, category = null, title = null, editionDate = null }) {
+        this.requireUser();
+        const id = String(articleId || '').trim();
+        if (!id) throw new Error('Please choose an article');
+        if (!ASSIGNMENT_LEVELS.includes(level)) throw new Error(`Unknown level "${level}"`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate || '')) throw new Error('Please choose a due date');
+        if (editionDate && !/^\d{4}-\d{2}-\d{2}$/.test(editionDate)) throw new Error(`Invalid edition date "${editionDate}"`);
+        return this.backend.saveAssignment(classroomId, {
+            article_id: id,
+            level,
+            due_date: dueDate,
+            category: category || null,
+            title: title || null,
+            edition_date: editionDate || null
+        });
+    }
+
+    async unassign(assignmentId) {
+        this.requireUser();
+        await this.backend.deleteAssignment(assignmentId);
+    }
+
+    /**
+     * Members, assignments and the results grid for one class
+     */
+    async results(classroomId) {
+        this.requireUser();
+        const { members, assignments } = await this.backend.loadClassroom(classroomId);
+        const keys = [...new Set(assignments.map(a => `quiz_${a.article_id}`))];
+        const rows = await this.backend.loadStudentQuizzes(members, keys);
+        return { members, assignments, ...Classroom.resultsGrid(members, assignments, rows) };
+    }
+
+    /**
+     * students: one row per member, { user_id, profile_id, display_name,
+     * results: { assignmentId: { percentage, score, total, level, late } | null },
+     * completed, average }; leaderboard: the same rows, best average first
+     * (more assignments done breaks ties). Averages are null until a quiz is done.
+     */
+    static resultsGrid(members, assignments, rows) {
+        const quizzes = new Map(rows.map(row => [`${row.user_id}|${row.profile_id}|${row.key}`, row.value]));
+
+        const students = members.map(member => {
+            const results = {};
+            const percentages = [];
+            assignments.forEach(assignment => {
+                const quiz = quizzes.get(`${member.user_id}|${member.profile_id}|quiz_${assignment.article_id}`);
+                if (!quiz || typeof quiz.percentage !== 'number') {
+                    results[assignment.id] = null;
+                    return;
+                }
+                results[assignment.id] = {
+                    percentage: quiz.percentage,
+                    score: quiz.score,
+                    total: quiz.total,
+                    level: quiz.level || null,
+                    late: Boolean(quiz.timestamp && quiz.timestamp > dueTime(assignment.due_date))
+                };
+                percentages.push(quiz.percentage);
+            });
+            return {
+                user_id: member.user_id,
+                profile_id: member.profile_id,
+                display_name: member.display_name,
+                results,
+                completed: percentages.length,
+                average: percentages.length ? Math.round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length) : null
+            };
+        });
+
+        const leaderboard = students
+            .filter(student => student.completed > 0)
+            .sort((a, b) => (b.average - a.average) || (b.completed - a.completed) || a.display_name.localeCompare(b.display_name));
+        return { students, leaderboard };
+    }
+
+    // ===== Students =====
+
+    /**
+     * Join with a teacher's code as the active child profile
+     */
+    async join(code) {
+        this.requireUser();
+        const joinCode = normalizeJoinCode(code);
+        if (joinCode.length !== JOIN_CODE_LENGTH) throw new Error(`Join codes are ${JOIN_CODE_LENGTH} letters and numbers`);
+        const profile = this.userManager.activeProfile();
+        return this.backend.joinClassroom(joinCode, profile.id, profile.name);
+    }
+
+    async leave(classroomId) {
+        this.requireUser();
+        await this.backend.leaveClassroom(classroomId, this.userManager.activeProfile().id);
+    }
+
+    async classes() {
+        if (!this.userManager.user) return [];
+        return this.backend.loadMemberships(this.userManager.activeProfile().id);
+    }
+
+    /**
+     * The active child's assignments across their classes (pass classes() to
+     * reuse it), soonest due first:
+     * { ...assignment, classroom_id, classroom_name, done, percentage, overdue }
+     */
+    async assignments({ classes = null, now = Date.now() } = {}) {
+        if (!classes) classes = await this.classes();
+        const stats = this.userManager.stats;
+        return classes
+            .flatMap(classroom => classroom.assignments.map(assignment => {
+                const quiz = stats[`quiz_${assignment.article_id}`];
+                const done = Boolean(quiz && typeof quiz.percentage === 'number');
+                return {
+                    ...assignment,
+                    classroom_id: classroom.id,
+                    classroom_name: classroom.name,
+                    done,
+                    percentage: done ? quiz.percentage : null,
+                    overdue: !done && now > dueTime(assignment.due_date)
+                };
+            }))
+            .sort((a, b) => a.due_date.localeCompare(b.due_date));
+    }
+
+    /**
+     * How the child's classmates answered an article's perspective debate
+     * (their debate_<articleId> entries): [{ perspective, votes }], counts
+     * only. The child's own answer is synced first so it is counted. null
+     * when signed out.
+     */
+    async debateTally(articleId) {
+        if (!this.userManager.user) return null;
+        await this.userManager.syncStats({ silent: true });
+        return this.backend.loadDebateTally(articleId, this.userManager.activeProfile().id);
+    }
+
+    /**
+     * Link to the assigned article; today's edition (manifest date) is read
+     * from the site, older ones from the archive
+     */
+    static articleUrl(assignment, { base = '.', today = null } = {}) {
+        const params = new URLSearchParams({ id: assignment.article_id, level: assignment.level });
+        if (assignment.category) params.set('category', assignment.category);
+        if (assignment.edition_date && assignment.edition_date !== today) params.set('date', assignment.edition_date);
+        return `${base}/article_page/article.html?${params}`;
+    }
+}
+
+window.Classroom = Classroom;
+
+export { normalizeJoinCode, TEACHER_ROLES, ASSIGNMENT_LEVELS };
+export default Classroom;
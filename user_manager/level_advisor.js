@@ -0,0 +1,107 @@
+// Level Advisor (module)
+// Recommends a reading level from recent quiz_<articleId> percentages at the
+// child's current level. Quizzes carry their level since progress reports
+// were added; older entries without one are ignored.
+
+const STYLE_LEVELS = {
+    relax: 'easy',
+    enjoy: 'middle',
+    research: 'high'
+};
+const LEVEL_STYLES = {
+    easy: 'relax',
+    middle: 'enjoy',
+    high: 'research'
+};
+const LEVEL_NAMES = {
+    easy: 'Relax',
+    middle: 'Enjoy',
+    high: 'Research'
+};
+const LEVEL_ORDER = ['easy', 'middle', 'high'];
+
+const RECENT_QUIZZES = 5;     // window of quizzes looked at
+const MIN_QUIZZES = 3;        // quizzes needed before suggesting anything
+const MOVE_UP_AVERAGE = 85;
+const MOVE_DOWN_AVERAGE = 50;
+
+class LevelAdvisor {
+    constructor(userManager) {
+        this.userManager = userManager;
+    }
+
+    get stats() {
+        if (!this.userManager.stats) this.userManager.stats = {};
+        return this.userManager.stats;
+    }
+
+    // localStorage is kept in step by changeReadingStyle() and covers guests too
+    currentStyle() {
+        return localStorage.getItem('news_reading_style') || this.userManager.readingStyle || 'enjoy';
+    }
+
+    quizzesAt(level) {
+        return Object.keys(this.stats)
+            .filter(key => key.startsWith('quiz_'))
+            .map(key => this.stats[key])
+            .filter(quiz => quiz && quiz.level === level && typeof quiz.percentage === 'number')
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * { fromLevel, toLevel, toStyle, direction: 'up' | 'down', average, quizzes } or null
+     */
+    recommendation() {
+        const fromLevel = STYLE_LEVELS[this.currentStyle()];
+        if (!fromLevel) return null; // Chinese readers have a single level
+
+        const all = this.quizzesAt(fromLevel);
+        const recent = all.slice(0, RECENT_QUIZZES);
+        if (recent.length < MIN_QUIZZES) return null;
+
+        const average = Math.round(recent.reduce((sum, quiz) => sum + quiz.percentage, 0) / recent.length);
+        const index = LEVEL_ORDER.indexOf(fromLevel);
+        let direction = null;
+        if (average >= MOVE_UP_AVERAGE && index < LEVEL_ORDER.length - 1) direction = 'up';
+        if (average < MOVE_DOWN_AVERAGE && index > 0) direction = 'down';
+        if (!direction) return null;
+
+        const toLevel = LEVEL_ORDER[index + (direction === 'up' ? 1 : -1)];
+        if (this.isDismissed(fromLevel, toLevel, all)) return null;
+
+        return {
+            fromLevel,
+            toLevel,
+            toStyle: LEVEL_STYLES[toLevel],
+            fromName: LEVEL_NAMES[fromLevel],
+            toName: LEVEL_NAMES[toLevel],
+            direction,
+            average,
+            quizzes: recent.length
+        };
+    }
+
+    // A dismissed suggestion comes back only after a fresh set of quizzes
+    isDismissed(fromLevel, toLevel, quizzes) {
+        const dismissed = this.stats.level_advice;
+        if (!dismissed || dismissed.fromLevel !== fromLevel || dismissed.toLevel !== toLevel) return false;
+        return quizzes.filter(quiz => quiz.timestamp > dismissed.timestamp).length < MIN_QUIZZES;
+    }
+
+    dismiss(advice) {
+        this.stats.level_advice = {
+            fromLevel: advice.fromLevel,
+            toLevel: advice.toLevel,
+            timestamp: Date.now()
+        };
+        this.userManager.saveStats();
+    }
+
+    async accept(advice) {
+        await this.userManager.changeReadingStyle(advice.toStyle);
+    }
+}
+
+window.LevelAdvisor = LevelAdvisor;
+
+export default LevelAdvisor;
@@ -0,0 +1,143 @@
+// Progress Report (module)
+// Turns a stats object (news_stats, or a synced user_stats row) into the
+// numbers shown on parent.html: articles per day, quiz accuracy per category
+// and level, vocabulary learned, and a printable weekly summary.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEVEL_NAMES = {
+    easy: 'Relax',
+    middle: 'Enjoy',
+    high: 'Research',
+    cn: 'Chinese'
+};
+
+class ProgressReport {
+    constructor(stats) {
+        this.stats = stats || {};
+    }
+
+    entries(prefix) {
+        return Object.keys(this.stats)
+            .filter(key => key.startsWith(prefix) && this.stats[key] && typeof this.stats[key] === 'object')
+            .map(key => ({ key, ...this.stats[key] }));
+    }
+
+    // Each read with readAt, when the article was first read: its timestamp
+    // moves every time it is opened again
+    reads() {
+        return this.entries('read_').map(entry => ({ ...entry, readAt: entry.first_read || entry.timestamp }));
+    }
+
+    quizzes() {
+        return this.entries('quiz_');
+    }
+
+    /**
+     * Articles read on each of the last `days` days, oldest first
+     */
+    articlesPerDay(days = 14, until = Date.now()) {
+        const counts = {};
+        this.reads().forEach(entry => {
+            if (!entry.readAt) return;
+            const date = dateKey(entry.readAt);
+            counts[date] = (counts[date] || 0) + 1;
+        });
+
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = dateKey(until - i * DAY_MS);
+            result.push({ date, count: counts[date] || 0 });
+        }
+        return result;
+    }
+
+    /**
+     * Quiz accuracy grouped by a field ('category' or 'level'); older entries
+     * recorded before the field existed are grouped as 'unknown'
+     */
+    quizAccuracyBy(field, quizzes = this.quizzes()) {
+        const groups = {};
+        quizzes.forEach(quiz => {
+            const name = quiz[field] || 'unknown';
+            const group = groups[name] || (groups[name] = { quizzes: 0, score: 0, total: 0 });
+            group.quizzes++;
+            group.score += quiz.score || 0;
+            group.total += quiz.total || 0;
+        });
+        Object.values(groups).forEach(group => {
+            group.percentage = group.total > 0 ? Math.round((group.score / group.total) * 100) : 0;
+        });
+        return groups;
+    }
+
+    /**
+     * Keywords matched in games plus the vocabulary notebook (vocabulary.js)
+     */
+    vocabulary() {
+        const notebook = this.entries('vocab_').filter(entry => !entry.key.startsWith('vocab_session_'));
+        return {
+            wordsMatched: this.entries('word_').length,
+            notebookWords: notebook.length,
+            mastered: notebook.filter(entry => entry.repetitions >= 3).length,
+            recent: notebook
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+                .slice(0, 10)
+                .map(entry => entry.term)
+        };
+    }
+
+    /**
+     * Totals for the Monday-to-Sunday week containing `date`
+     */
+    weeklySummary(date = Date.now()) {
+        const start = startOfWeek(date);
+        const end = start + 7 * DAY_MS;
+        const inWeek = entry => entry.timestamp >= start && entry.timestamp < end;
+
+        const reads = this.reads().filter(entry => entry.readAt >= start && entry.readAt < end);
+        const quizzes = this.quizzes().filter(inWeek);
+        const words = this.entries('word_').filter(inWeek);
+        const score = quizzes.reduce((sum, quiz) => sum + (quiz.score || 0), 0);
+        const total = quizzes.reduce((sum, quiz) => sum + (quiz.total || 0), 0);
+
+        const days = this.articlesPerDay(7, end - DAY_MS);
+
+        return {
+            start: dateKey(start),
+            end: dateKey(end - DAY_MS),
+            articlesRead: reads.length,
+            activeDays: days.filter(day => day.count > 0).length,
+            days,
+            quizzesTaken: quizzes.length,
+            accuracy: total > 0 ? Math.round((score / total) * 100) : null,
+            perfectScores: quizzes.filter(quiz => quiz.total > 0 && quiz.score === quiz.total).length,
+            wordsMatched: words.length,
+            byCategory: this.quizAccuracyBy('category', quizzes),
+            byLevel: this.quizAccuracyBy('level', quizzes)
+        };
+    }
+
+    static levelName(level) {
+        return LEVEL_NAMES[level] || (level === 'unknown' ? 'Not recorded' : level);
+    }
+}
+
+function dateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function startOfWeek(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    // getDay(): Sunday is 0, weeks start on Monday
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+window.ProgressReport = ProgressReport;
+
+export default ProgressReport;
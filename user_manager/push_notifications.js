@@ -0,0 +1,124 @@
+// Push Notifications (module)
+// Daily "new articles" alerts. A signed-in reader opts in from the user
+// dropdown; this device's push subscription is saved in the
+// push_subscriptions table together with the category and level to announce,
+// and push/send_daily_push.js notifies it once per new manifest.json date.
+//
+// Needs window.PUSH_VAPID_PUBLIC_KEY (see push/README.md) and the Supabase
+// account backend; without them the option is not offered.
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const STYLE_LEVELS = { relax: 'easy', enjoy: 'middle', research: 'high', chinese: 'cn' };
+const CATEGORY_NAMES = { news: 'News', science: 'Science', fun: 'Fun' };
+const LEVEL_NAMES = { easy: 'Relax', middle: 'Enjoy', high: 'Research', cn: 'Chinese' };
+
+// applicationServerKey wants bytes, the key is configured as base64url
+function keyBytes(base64url) {
+    const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+class PushNotifications {
+    constructor(userManager, vapidPublicKey = window.PUSH_VAPID_PUBLIC_KEY || '') {
+        this.userManager = userManager;
+        this.vapidPublicKey = vapidPublicKey;
+    }
+
+    // Browser can do push, the site has a key configured and subscriptions can be stored
+    get available() {
+        return !!this.vapidPublicKey && !!this.userManager.supabase && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    async currentSubscription() {
+        if (!this.available) return null;
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    }
+
+    async isSubscribed() {
+        if (!this.available || Notification.permission !== 'granted') return false;
+        return !!(await this.currentSubscription());
+    }
+
+    /**
+     * What the notification announces: the reading style's level and the
+     * category the active child reads most (News until they have read something)
+     */
+    preferences() {
+        const style = localStorage.getItem('news_reading_style') || this.userManager.readingStyle;
+        const counts = {};
+        Object.keys(this.userManager.stats || {})
+            .filter(key => key.startsWith('read_'))
+            .forEach(key => {
+                const category = this.userManager.stats[key].category;
+                if (CATEGORIES.includes(category)) counts[category] = (counts[category] || 0) + 1;
+            });
+        const category = CATEGORIES.reduce((best, c) => (counts[c] || 0) > (counts[best] || 0) ? c : best, 'news');
+        return { category, level: STYLE_LEVELS[style] || 'middle' };
+    }
+
+    describe({ category, level }) {
+        return level === 'cn'
+            ? `${CATEGORY_NAMES[category]} stories in Chinese`
+            : `${CATEGORY_NAMES[category]} stories at the ${LEVEL_NAMES[level]} level`;
+    }
+
+    /**
+     * Ask permission, subscribe this device and store the subscription;
+     * resolves to the preferences it will announce
+     */
+    async subscribe() {
+        if (!this.userManager.user) throw new Error('Please sign in to turn on daily news alerts');
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked for this site. Allow them in your browser settings, then try again.');
+        }
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription()
+            || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(this.vapidPublicKey) });
+        return this.save(subscription);
+    }
+
+    async save(subscription) {
+        const preferences = this.preferences();
+        const json = subscription.toJSON();
+        const { error } = await this.userManager.supabase.from('push_subscriptions').upsert({
+            endpoint: json.endpoint,
+            user_id: this.userManager.user.id,
+            profile_id: this.userManager.activeProfile().id,
+            subscription: json,
+            category: preferences.category,
+            level: preferences.level,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'endpoint' });
+        if (error) throw error;
+        return preferences;
+    }
+
+    /**
+     * Keep the stored category, level and child up to date (after login or
+     * a profile switch); quiet when not subscribed
+     */
+    async refresh() {
+        if (!this.userManager.user || !(await this.isSubscribed())) return;
+        try {
+            await this.save(await this.currentSubscription());
+        } catch (err) {
+            console.error('Could not refresh push subscription:', err);
+        }
+    }
+
+    async unsubscribe() {
+        const subscription = await this.currentSubscription();
+        if (!subscription) return;
+        if (this.userManager.user) {
+            const { error } = await this.userManager.supabase.from('push_subscriptions').delete().eq('endpoint', subscription.endpoint);
+            if (error) throw error;
+        }
+        await subscription.unsubscribe();
+    }
+}
+
+window.PushNotifications = PushNotifications;
+
+export default PushNotifications;
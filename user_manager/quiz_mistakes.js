@@ -0,0 +1,139 @@
+// Quiz Mistakes (module)
+// Keeps quiz questions a child got wrong so they can be retried later, across
+// articles, on mistakes.html.
+//
+// Each missed question lives under its own stats key so it syncs like any
+// other activity:
+//   mistake_<articleId>_<hash> = { articleId, category, level, date, title,
+//                                  question, evidence, misses, timestamp, resolved }
+// `question` is the prepared question from article_page/quiz_types.js, so it
+// renders again without the article payload. A question answered correctly is
+// marked resolved rather than deleted. `timestamp` is the last miss or the
+// resolve, whichever came later: stats_sync.js keeps the later change when
+// two devices disagree.
+
+const RETRY_SESSION_LIMIT = 10;
+
+class QuizMistakes {
+    constructor(userManager) {
+        this.userManager = userManager;
+    }
+
+    get stats() {
+        if (!this.userManager.stats) this.userManager.stats = {};
+        return this.userManager.stats;
+    }
+
+    save() {
+        this.userManager.saveStats();
+    }
+
+    // Short stable id for a question's text (djb2)
+    static hash(text) {
+        let hash = 5381;
+        for (const char of String(text || '')) {
+            hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    static key(articleId, question) {
+        return `mistake_${articleId}_${QuizMistakes.hash(`${question.type}|${question.question}`)}`;
+    }
+
+    /**
+     * Record one quiz attempt: results = [{ question, correct, evidence }],
+     * article = { articleId, category, level, date, title }
+     */
+    recordQuiz(results, article) {
+        let missed = 0;
+        results.forEach(({ question, correct, evidence }) => {
+            const key = QuizMistakes.key(article.articleId, question);
+            const entry = this.stats[key];
+            if (correct) {
+                if (entry && !entry.resolved) {
+                    entry.resolved = Date.now();
+                    entry.timestamp = entry.resolved;
+                }
+                return;
+            }
+            missed++;
+            this.stats[key] = {
+                articleId: article.articleId,
+                category: article.category || null,
+                level: article.level || null,
+                date: article.date || null,
+                title: article.title || '',
+                question,
+                evidence: evidence || (entry && entry.evidence) || '',
+                misses: ((entry && entry.misses) || 0) + 1,
+                timestamp: Date.now(),
+                resolved: null
+            };
+        });
+        this.save();
+        return missed;
+    }
+
+    /**
+     * Open mistakes, most recent first: [{ key, ...entry }]
+     */
+    open() {
+        return Object.keys(this.stats)
+            .filter(key => key.startsWith('mistake_') && this.stats[key] && !this.stats[key].resolved)
+            .map(key => ({ key, ...this.stats[key] }))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    count() {
+        return this.open().length;
+    }
+
+    /**
+     * Questions for a retry session, mixing articles: round-robin over
+     * articles so one long quiz does not fill the whole session
+     */
+    session(limit = RETRY_SESSION_LIMIT) {
+        const byArticle = new Map();
+        this.open().forEach(entry => {
+            if (!byArticle.has(entry.articleId)) byArticle.set(entry.articleId, []);
+            byArticle.get(entry.articleId).push(entry);
+        });
+
+        const queues = [...byArticle.values()];
+        const picked = [];
+        while (picked.length < limit && queues.some(queue => queue.length)) {
+            queues.forEach(queue => {
+                if (queue.length && picked.length < limit) picked.push(queue.shift());
+            });
+        }
+        return picked;
+    }
+
+    /**
+     * Result of retrying one mistake
+     */
+    retry(key, correct) {
+        const entry = this.stats[key];
+        if (!entry) return;
+        if (correct) {
+            entry.resolved = Date.now();
+            entry.timestamp = entry.resolved;
+        } else {
+            entry.misses = (entry.misses || 0) + 1;
+            entry.timestamp = Date.now();
+        }
+        this.save();
+    }
+
+    static articleUrl(entry) {
+        const params = new URLSearchParams({ id: entry.articleId, level: entry.level || 'middle' });
+        if (entry.category) params.set('category', entry.category);
+        if (entry.date) params.set('date', entry.date);
+        return `/article_page/article.html?${params.toString()}`;
+    }
+}
+
+window.QuizMistakes = QuizMistakes;
+
+export default QuizMistakes;
@@ -0,0 +1,279 @@
+// Stats Sync (module)
+// Merges one child's news_stats across devices instead of uploading the whole
+// object. Each stats key is synced on its own:
+//
+// - A key's value is last-writer-wins on the time it was last changed (its
+//   own timestamp when it has one; ties go to the higher device id), so a quiz taken on the tablet and a
+//   word learned on the phone both survive.
+// - Counter fields (COUNTER_FIELDS) are grow-only counters with one slot per
+//   device; the merged value is the sum of the slots, so reviews made on two
+//   devices add up instead of overwriting each other.
+//
+// A sync records what changed locally since the last sync, pulls the rows
+// other devices changed since the last pull, merges them and pushes only the
+// keys whose merged state the server does not have yet. Bookkeeping is kept
+// next to the stats (news_stats_sync[_<profile>]); failed syncs are retried
+// with backoff and as soon as the browser is back online.
+
+const DEVICE_KEY = 'news_device_id';
+const SYNC_DELAY_MS = 5000;
+const RETRY_DELAYS_MS = [30000, 60000, 120000, 300000];
+// Rows are pulled from a little before the last pull, so rows written in a
+// transaction that finished late are not missed; re-pulled rows merge to no-ops
+const PULL_OVERLAP_MS = 60000;
+
+// Grow-only counter fields by key prefix (first match wins)
+const COUNTER_FIELDS = [
+    { prefix: 'vocab_session_', fields: ['reviewed', 'remembered'] },
+    { prefix: 'vocab_', fields: ['matched'] },
+    { prefix: 'mistake_', fields: ['misses'] },
+    { prefix: 'reading_', fields: ['activeSeconds', 'visits'] }
+];
+
+function counterFields(key) {
+    const rule = COUNTER_FIELDS.find(r => key.startsWith(r.prefix));
+    return rule ? rule.fields : [];
+}
+
+// JSON with sorted object keys: the database may not keep key order
+function stableJson(value) {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// FNV-1a; only compared with itself to notice changes
+function hashValue(value) {
+    const text = stableJson(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+function sumSlots(slots) {
+    return Object.values(slots || {}).reduce((sum, n) => sum + (Number(n) || 0), 0);
+}
+
+// Per device, the larger count wins: { field: { deviceId: n } }
+function mergeCounters(a, b) {
+    const merged = {};
+    [a, b].forEach(counters => {
+        Object.entries(counters || {}).forEach(([field, slots]) => {
+            merged[field] = merged[field] || {};
+            Object.entries(slots || {}).forEach(([device, n]) => {
+                merged[field][device] = Math.max(merged[field][device] || 0, Number(n) || 0);
+            });
+        });
+    });
+    return merged;
+}
+
+function withCounterTotals(value, counters) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || !counters) return value;
+    const totals = {};
+    Object.keys(counters).forEach(field => { totals[field] = sumSlots(counters[field]); });
+    return { ...value, ...totals };
+}
+
+function deviceId() {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+        id = `news-local-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+        localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+}
+
+class StatsSync {
+    constructor(userManager) {
+        this.userManager = userManager;
+        this.running = null;
+        this.timer = null;
+        this.failures = 0;
+
+        window.addEventListener('online', () => {
+            if (this.failures > 0) this.schedule(0);
+        });
+    }
+
+    // news_stats -> news_stats_sync, news_stats_<profile> -> news_stats_sync_<profile>
+    metaKey(statsKey = this.userManager.statsKey()) {
+        return statsKey.replace(/^news_stats/, 'news_stats_sync');
+    }
+
+    /**
+     * entries: key -> { h: hash at last sync, t: changed at, d: device, c: counters }
+     * dirty: keys the server does not have yet; pulledAt: newest synced_at seen
+     */
+    loadMeta(metaKey = this.metaKey()) {
+        try {
+            const meta = JSON.parse(localStorage.getItem(metaKey));
+            if (meta && meta.entries) return { dirty: [], pulledAt: null, ...meta };
+        } catch (error) {
+            console.warn('Stats sync bookkeeping unreadable, starting over');
+        }
+        return { entries: {}, dirty: [], pulledAt: null };
+    }
+
+    saveMeta(meta, metaKey = this.metaKey()) {
+        localStorage.setItem(metaKey, JSON.stringify(meta));
+    }
+
+    /**
+     * Sync soon (debounced); signed-out readers are never synced
+     */
+    schedule(delay = SYNC_DELAY_MS) {
+        if (!this.userManager.user) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.sync().catch(error => console.warn('Stats sync failed, will retry:', error.message || error));
+        }, delay);
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.failures = 0;
+    }
+
+    /**
+     * Run one sync (or join the one in progress); resolves to { pulled, pushed }
+     */
+    sync() {
+        if (!this.running) {
+            this.running = this.run()
+                .then(result => {
+                    this.failures = 0;
+                    return result;
+                })
+                .catch(error => {
+                    // Offline: the 'online' listener retries; otherwise back off
+                    this.failures++;
+                    if (navigator.onLine !== false) {
+                        this.schedule(RETRY_DELAYS_MS[Math.min(this.failures, RETRY_DELAYS_MS.length) - 1]);
+                    }
+                    throw error;
+                })
+                .finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async run() {
+        const userManager = this.userManager;
+        const metaKey = this.metaKey();
+        const profileId = userManager.activeProfile().id;
+        const backend = userManager.backend;
+        const device = deviceId();
+
+        const meta = this.loadMeta(metaKey);
+        this.recordLocalChanges(meta, device);
+        this.saveMeta(meta, metaKey);
+
+        const since = meta.pulledAt ? new Date(Date.parse(meta.pulledAt) - PULL_OVERLAP_MS).toISOString() : null;
+        const rows = await backend.pullStats(profileId, since);
+
+        // Merge (no awaits from here until the push, so stats cannot change
+        // underneath); first catch anything recorded while pulling
+        const stats = userManager.stats;
+        this.recordLocalChanges(meta, device);
+        const dirty = new Set(meta.dirty);
+        rows.forEach(row => {
+            if (!meta.pulledAt || row.synced_at > meta.pulledAt) meta.pulledAt = row.synced_at;
+            const entry = this.mergeRow(stats, meta, row);
+            const serverHasIt = row.modified_at === entry.t && row.device_id === entry.d
+                && hashValue(row.value) === entry.h && hashValue(row.counters || null) === hashValue(entry.c || null);
+            if (serverHasIt) dirty.delete(row.key);
+            else dirty.add(row.key);
+        });
+        meta.dirty = [...dirty];
+        userManager.saveStats({ sync: false });
+        this.saveMeta(meta, metaKey);
+        if (rows.length) window.dispatchEvent(new CustomEvent('statssync', { detail: { profileId, pulled: rows.length } }));
+
+        const pushRows = meta.dirty.filter(key => key in stats).map(key => ({
+            key,
+            value: stats[key],
+            counters: meta.entries[key].c || null,
+            modified_at: meta.entries[key].t,
+            device_id: meta.entries[key].d
+        }));
+        if (pushRows.length) await backend.pushStats(profileId, pushRows, stats);
+
+        // Only what was pushed is clean; keys changed during the push stay dirty
+        const after = this.loadMeta(metaKey);
+        const pushed = new Map(pushRows.map(row => [row.key, hashValue(row.value)]));
+        after.dirty = after.dirty.filter(key => !pushed.has(key) || (after.entries[key] && after.entries[key].h !== pushed.get(key)));
+        this.saveMeta(after, metaKey);
+        return { pulled: rows.length, pushed: pushRows.length };
+    }
+
+    /**
+     * Keys whose value changed since the last sync get a new clock, and their
+     * counter increments go into this device's slot
+     */
+    recordLocalChanges(meta, device) {
+        const stats = this.userManager.stats;
+        const dirty = new Set(meta.dirty);
+        const now = Date.now();
+
+        Object.keys(stats).forEach(key => {
+            const h = hashValue(stats[key]);
+            const entry = meta.entries[key];
+            if (entry && entry.h === h) return;
+
+            // Entries stamp their own timestamp when edited; otherwise the change is dated now
+            const value = stats[key];
+            const stamped = Number(value && value.timestamp) || 0;
+            const previous = entry ? entry.t : 0;
+            const t = stamped > previous ? stamped : Math.max(now, previous + 1);
+            const next = { h, t, d: device, c: entry && entry.c ? JSON.parse(JSON.stringify(entry.c)) : undefined };
+            counterFields(key).forEach(field => {
+                const current = Number(value && value[field]) || 0;
+                const known = next.c ? sumSlots(next.c[field]) : 0;
+                if (current <= known) return; // counters only grow
+                next.c = next.c || {};
+                next.c[field] = next.c[field] || {};
+                next.c[field][device] = (next.c[field][device] || 0) + (current - known);
+            });
+            meta.entries[key] = next;
+            dirty.add(key);
+        });
+        meta.dirty = [...dirty];
+    }
+
+    /**
+     * Fold one server row into stats and meta; returns the merged entry
+     */
+    mergeRow(stats, meta, row) {
+        const local = meta.entries[row.key];
+        const remoteWins = !local || !(row.key in stats)
+            || row.modified_at > local.t
+            || (row.modified_at === local.t && String(row.device_id) > String(local.d));
+
+        const counters = mergeCounters(local && local.c, row.counters);
+        const hasCounters = Object.keys(counters).length > 0;
+        const base = remoteWins ? row.value : stats[row.key];
+        const value = hasCounters ? withCounterTotals(base, counters) : base;
+
+        stats[row.key] = value;
+        const entry = {
+            h: hashValue(value),
+            t: remoteWins ? row.modified_at : local.t,
+            d: remoteWins ? row.device_id : local.d,
+            c: hasCounters ? counters : undefined
+        };
+        meta.entries[row.key] = entry;
+        return entry;
+    }
+}
+
+window.StatsSync = StatsSync;
+
+export { mergeCounters, hashValue, COUNTER_FIELDS };
+export default StatsSync;
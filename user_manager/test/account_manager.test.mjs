@@ -0,0 +1,269 @@
+// Account Manager tests
+// The whole account flow on the in-memory LocalBackend, with no network:
+// sign-in, child profiles, quiz tracking, stats sync between two devices,
+// account deletion, and the active days and first reads that streaks and
+// progress reports are counted from.
+//
+// Usage: node --test user_manager/
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+// ===== Browser globals =====
+// The modules touch window, localStorage and sessionStorage when they load,
+// so they are imported below, once these exist.
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+const window = new EventTarget();
+window.location = { href: 'http://localhost/', origin: 'http://localhost', pathname: '/', search: '' };
+window.history = { replaceState() {} };
+globalThis.window = window;
+if (!globalThis.navigator) globalThis.navigator = { onLine: true };
+
+/**
+ * A device is its own localStorage and sessionStorage
+ */
+function createDevice() {
+    return { localStorage: new MemoryStorage(), sessionStorage: new MemoryStorage() };
+}
+
+function useDevice(device) {
+    globalThis.localStorage = device.localStorage;
+    globalThis.sessionStorage = device.sessionStorage;
+    return device;
+}
+
+function resetBrowser() {
+    return useDevice(createDevice());
+}
+
+resetBrowser();
+
+// After the globals: the modules register themselves on window
+const { default: AccountManager, DEFAULT_PROFILE_ID } = await import('../account_manager.js');
+const { LocalBackend } = await import('../user_backends.js');
+const { default: Achievements } = await import('../achievements.js');
+const { default: ProgressReport } = await import('../progress_report.js');
+
+const EMAIL = 'Parent@Example.com';
+
+/**
+ * Events of one type dispatched on window while the test runs
+ */
+function recordEvents(t, type) {
+    const details = [];
+    const listener = event => details.push(event.detail);
+    window.addEventListener(type, listener);
+    t.after(() => window.removeEventListener(type, listener));
+    return details;
+}
+
+// The stats key that marks today as active (streaks in achievements.js)
+function activeToday() {
+    const date = new Date();
+    return `active_${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * A manager on its own device, signed in once the session is restored.
+ * Pass a backend to share its accounts with another device
+ */
+async function signedIn(t, { backend = new LocalBackend({ persist: false }), readingStyle = 'relax' } = {}) {
+    const manager = new AccountManager(backend);
+    await manager.ready;
+    t.after(() => manager.statsSync.cancel());
+    if (!manager.user) {
+        await backend.signIn(EMAIL, { readingStyle });
+        await manager.loginPromise;
+    }
+    return manager;
+}
+
+test.beforeEach(() => {
+    resetBrowser();
+});
+
+test('a new manager starts signed out and keeps guest stats on the device', async () => {
+    const manager = new AccountManager(new LocalBackend({ persist: false }));
+    await manager.ready;
+
+    assert.strictEqual(manager.user, null);
+    assert.strictEqual(manager.isRegistered(), false);
+    manager.trackQuizCompletion('guest1', 2, 4);
+    assert.strictEqual(JSON.parse(localStorage.getItem('news_stats')).quiz_guest1.percentage, 50);
+    assert.strictEqual(await manager.syncStats({ silent: true }), false);
+});
+
+test('signing in creates the account and announces the user', async t => {
+    const changes = recordEvents(t, 'userchange');
+    const manager = await signedIn(t, { readingStyle: 'research' });
+
+    assert.strictEqual(manager.user.email, 'parent@example.com');
+    assert.strictEqual(manager.profile.role, 'user');
+    assert.deepStrictEqual(manager.profile.preferences, { readingStyle: 'research' });
+    assert.strictEqual(manager.readingStyle, 'research');
+    assert.strictEqual(localStorage.getItem('news_reading_style'), 'research');
+    assert.deepStrictEqual(changes.map(user => user && user.email), ['parent@example.com']);
+
+    await manager.logout();
+    assert.strictEqual(manager.user, null);
+    assert.deepStrictEqual(changes.map(user => user && user.email), ['parent@example.com', null]);
+});
+
+test('child profiles are saved with the account and keep their own stats', async t => {
+    const switches = recordEvents(t, 'profilechange');
+    const manager = await signedIn(t);
+    manager.trackArticleRead('a1');
+
+    const mia = await manager.addProfile('Mia', 'research');
+    assert.ok(mia);
+    assert.deepStrictEqual(manager.profiles().map(p => p.name), ['parent', 'Mia']);
+    assert.deepStrictEqual(manager.backend.account().preferences.profiles.map(p => p.id), [DEFAULT_PROFILE_ID, mia.id]);
+
+    manager.switchProfile(mia.id, { navigate: false });
+    assert.strictEqual(manager.activeProfile().id, mia.id);
+    assert.strictEqual(manager.readingStyle, 'research');
+    assert.deepStrictEqual(manager.stats, {});
+    assert.deepStrictEqual(switches.map(profile => profile.id), [mia.id]);
+
+    manager.trackQuizCompletion('a1', 3, 4, { category: 'news', level: 'high' });
+    assert.ok(JSON.parse(localStorage.getItem(`news_stats_${mia.id}`)).quiz_a1);
+    assert.strictEqual(JSON.parse(localStorage.getItem('news_stats')).quiz_a1, undefined);
+
+    manager.switchProfile(DEFAULT_PROFILE_ID, { navigate: false });
+    assert.deepStrictEqual(Object.keys(manager.stats), ['read_a1', activeToday()]);
+    assert.strictEqual(manager.readingStyle, 'relax');
+
+    assert.strictEqual(await manager.removeProfile(mia.id), true);
+    assert.deepStrictEqual(manager.profiles().map(p => p.id), [DEFAULT_PROFILE_ID]);
+    assert.strictEqual(localStorage.getItem(`news_stats_${mia.id}`), null);
+});
+
+test('quiz results sync to the backend and on to another device', async t => {
+    const laptop = useDevice(createDevice());
+    const manager = await signedIn(t);
+    const mia = await manager.addProfile('Mia', 'enjoy');
+    manager.switchProfile(mia.id, { navigate: false });
+    manager.trackQuizCompletion('a1', 3, 4, { category: 'science', level: 'middle' });
+    assert.strictEqual(await manager.syncStats({ silent: true }), true);
+
+    const row = manager.backend.store.entries[`${manager.user.id}|${mia.id}|quiz_a1`];
+    assert.ok(row, 'quiz_a1 was pushed for Mia');
+    assert.strictEqual(row.value.percentage, 75);
+    assert.strictEqual(row.value.level, 'middle');
+
+    // The same account on a tablet; Mia was already picked there
+    useDevice(createDevice());
+    sessionStorage.setItem('news_profile_chosen', '1');
+    const synced = recordEvents(t, 'statssync');
+    const tablet = await signedIn(t, { backend: new LocalBackend({ persist: false, store: manager.backend.store }) });
+    assert.strictEqual(tablet.user.id, manager.user.id);
+    tablet.switchProfile(mia.id, { navigate: false });
+    assert.strictEqual(await tablet.syncStats({ silent: true }), true);
+    assert.strictEqual(tablet.stats.quiz_a1.percentage, 75);
+    assert.deepStrictEqual(synced, [{ profileId: mia.id, pulled: 2 }]);
+
+    // A retake on the tablet reaches the laptop (the later timestamp wins)
+    await new Promise(resolve => setTimeout(resolve, 5));
+    tablet.trackQuizCompletion('a1', 4, 4, { category: 'science', level: 'middle' });
+    await tablet.syncStats({ silent: true });
+    useDevice(laptop);
+    await manager.syncStats({ silent: true });
+    assert.strictEqual(manager.stats.quiz_a1.percentage, 100);
+
+    const snapshots = await manager.loadStatsSnapshots();
+    assert.deepStrictEqual(snapshots.map(s => s.profile_id), [mia.id]);
+    assert.strictEqual(snapshots[0].stats.quiz_a1.score, 4);
+});
+
+test('deleting the account removes its data everywhere and signs out', async t => {
+    const changes = recordEvents(t, 'userchange');
+    const manager = await signedIn(t);
+    const backend = manager.backend;
+    const mia = await manager.addProfile('Mia', 'enjoy');
+    manager.trackQuizCompletion('a1', 1, 2);
+    manager.switchProfile(mia.id, { navigate: false });
+    manager.trackQuizCompletion('a2', 2, 2);
+    await manager.syncStats({ silent: true });
+    assert.deepStrictEqual(Object.keys(backend.store.entries).map(key => key.split('|')[2]), ['quiz_a2', activeToday()]);
+
+    await manager.deleteAccount();
+
+    assert.strictEqual(manager.user, null);
+    assert.deepStrictEqual(manager.stats, {});
+    assert.deepStrictEqual(backend.store.accounts, {});
+    assert.deepStrictEqual(backend.store.entries, {});
+    assert.strictEqual(backend.store.session, null);
+    ['news_stats', `news_stats_${mia.id}`, 'news_stats_sync', `news_stats_sync_${mia.id}`, 'news_active_profile']
+        .forEach(key => assert.strictEqual(localStorage.getItem(key), null, key));
+    assert.strictEqual(changes.at(-1), null);
+    await assert.rejects(manager.deleteAccount(), /Please sign in first/);
+});
+
+test('rereading an article or retaking a quiz keeps the days in the streak', async t => {
+    const manager = new AccountManager(new LocalBackend({ persist: false }));
+    await manager.ready;
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(2026, 9, 12, 16).getTime() });
+    const nextDay = () => t.mock.timers.tick(24 * 60 * 60 * 1000);
+
+    manager.trackArticleRead('a1');
+    manager.trackQuizCompletion('a1', 1, 2);
+    nextDay();
+    manager.trackArticleRead('a2');
+    nextDay();
+    manager.trackArticleRead('a1');
+    manager.trackQuizCompletion('a1', 2, 2);
+
+    const summary = new Achievements(manager).summary();
+    assert.strictEqual(summary.articlesRead, 2);
+    assert.strictEqual(summary.readingDays, 3);
+    assert.strictEqual(summary.currentStreak, 3);
+    assert.strictEqual(summary.longestStreak, 3);
+    assert.deepStrictEqual(Object.keys(manager.stats).filter(key => key.startsWith('active_')), ['active_2026-10-12', 'active_2026-10-13', 'active_2026-10-14']);
+});
+
+test('an article opened again is still counted in the week it was read', async t => {
+    const manager = new AccountManager(new LocalBackend({ persist: false }));
+    await manager.ready;
+    // Friday, then the following Tuesday
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(2026, 9, 16, 16).getTime() });
+    manager.trackArticleRead('a1');
+    t.mock.timers.tick(4 * 24 * 60 * 60 * 1000);
+    manager.trackArticleRead('a1', { category: 'news' });
+
+    assert.strictEqual(manager.stats.read_a1.first_read, new Date(2026, 9, 16, 16).getTime());
+    assert.strictEqual(manager.stats.read_a1.category, 'news');
+    const report = new ProgressReport(manager.stats);
+    assert.strictEqual(report.weeklySummary(new Date(2026, 9, 14).getTime()).articlesRead, 1);
+    assert.strictEqual(report.weeklySummary(Date.now()).articlesRead, 0);
+    assert.deepStrictEqual(report.articlesPerDay(5).map(day => day.count), [1, 0, 0, 0, 0]);
+});
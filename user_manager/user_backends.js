@@ -0,0 +1,787 @@
+// User Backends (module)
+// Where accounts live. AccountManager (account_manager.js) does everything a
+// page needs - stats, child profiles, reading style, the sign-in modal - and
+// talks to one of these adapters for the parts that need a server:
+//
+//   SupabaseBackend  Supabase auth + user_profiles / user_stats tables (the live site)
+//   RestBackend      the news.6ray.com/api user API (same endpoints as user_manager.js)
+//   LocalBackend     accounts kept in this browser; no network at all
+//
+// Every adapter has the same shape:
+//   name, client (the Supabase client or null), providers (e.g. ['google'])
+//   init(onChange)          restore the session; resolves to the user or null and
+//                           calls onChange(user | null) on every later change
+//   signIn(email, { readingStyle })  resolves to 'signed_in' or 'link_sent'
+//   signInWithProvider(provider, { readingStyle })
+//   signOut()
+//   takePendingReadingStyle()        style chosen before a magic link, or null
+//   loadAccount({ readingStyle })    { id, email, display_name, role, preferences }, created if new
+//   savePreferences(preferences)
+//   pullStats(profileId, since)      stats rows changed after since (ISO time, null for
+//                                    all; profileId null for every child):
+//                                    [{ profile_id, key, value, counters, modified_at, device_id, synced_at }]
+//   pushStats(profileId, rows, stats) upsert rows (same shape, without synced_at)
+//   loadStatsSnapshots()             whole-object snapshots from before merge sync, newest first
+//   deleteAccount()
+//
+// and, for classrooms (classroom.js; teachers have role 'teacher' or 'admin'):
+//   createClassroom(name, joinCode)  the new { id, name, join_code, teacher_id, created_at },
+//                                    or null when the join code is taken
+//   loadClassrooms()                 classrooms this user teaches, newest first
+//   deleteClassroom(classroomId)
+//   loadClassroom(classroomId)       { members: [{ user_id, profile_id, display_name, joined_at }],
+//                                      assignments: [{ id, article_id, level, category, title, edition_date, due_date }] }
+//   saveAssignment(classroomId, assignment)  resolves to the stored assignment
+//   deleteAssignment(assignmentId)
+//   loadStudentQuizzes(members, keys) the members' stats rows for those quiz_<id> keys:
+//                                    [{ user_id, profile_id, key, value }]
+//   joinClassroom(joinCode, profileId, displayName)  resolves to { id, name }
+//   leaveClassroom(classroomId, profileId)
+//   loadMemberships(profileId)       classrooms the child joined: [{ id, name, assignments }]
+//   loadDebateTally(articleId, profileId)  perspective debate answers of the child's
+//                                    classmates (themselves included): [{ perspective, votes }]
+//
+// A user is at least { id, email }. Pick the adapter with window.USER_BACKEND
+// ('supabase' by default) or ?backend=local in the URL (kept for the tab).
+
+const SUPABASE_CLIENT_URL = 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js/+esm';
+const REST_API_BASE = 'https://news.6ray.com/api';
+const LOCAL_STORE_KEY = 'news_local_backend';
+const BACKEND_KEY = 'news_user_backend';
+const REST_NO_CLASSROOMS = 'Classrooms need the Supabase backend';
+// PostgREST returns at most 1000 rows per request
+const SUPABASE_PAGE_SIZE = 1000;
+
+class SupabaseBackend {
+    constructor() {
+        this.name = 'supabase';
+        this.providers = ['google'];
+        this.client = null;
+        this.user = null;
+    }
+
+    async init(onChange) {
+        const url = window.SUPABASE_URL || '';
+        const anonKey = window.SUPABASE_ANON_KEY || '';
+        if (!url || !anonKey) {
+            console.warn('Supabase credentials not set. Set window.SUPABASE_URL and window.SUPABASE_ANON_KEY before loading the script.');
+            return null;
+        }
+
+        const { createClient } = await import(SUPABASE_CLIENT_URL);
+        this.client = createClient(url, anonKey, { auth: { persistSession: true } });
+        this.client.auth.onAuthStateChange((_event, session) => {
+            this.user = session && session.user ? session.user : null;
+            onChange(this.user);
+        });
+
+        // Magic link and signup callbacks arrive with token_hash; give auth a moment to finish
+        const urlParams = new URLSearchParams(window.location.search);
+        const callback = urlParams.get('token_hash') && ['magiclink', 'signup'].includes(urlParams.get('type'));
+        if (callback) await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const { data } = await this.client.auth.getSession();
+        this.user = data && data.session && data.session.user ? data.session.user : null;
+        if (callback) window.history.replaceState({}, document.title, window.location.pathname);
+        return this.user;
+    }
+
+    async signIn(email, { readingStyle }) {
+        // The chosen reading style waits in magic_links until the link is opened
+        const { error: insertError } = await this.client
+            .from('magic_links')
+            .insert({
+                token: email, // Use email as temporary key
+                email: email,
+                reading_style: readingStyle,
+                expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() // 1 hour
+            });
+        if (insertError && !insertError.message.includes('duplicate')) {
+            console.error('Failed to store reading style:', insertError);
+        }
+
+        // Supabase's built-in magic link with SMTP settings
+        const { error } = await this.client.auth.signInWithOtp({
+            email: email,
+            options: {
+                emailRedirectTo: window.location.origin,
+                data: { reading_style: readingStyle }
+            }
+        });
+        if (error) {
+            console.error('Supabase OTP error:', error);
+            throw new Error(error.message || 'Failed to send magic link');
+        }
+        return 'link_sent';
+    }
+
+    async signInWithProvider(provider) {
+        // Supabase redirects to the provider; the session arrives through onAuthStateChange
+        await this.client.auth.signInWithOAuth({ provider });
+    }
+
+    async signOut() {
+        if (this.client) await this.client.auth.signOut();
+    }
+
+    async takePendingReadingStyle() {
+        const { data: magicLinks } = await this.client
+            .from('magic_links')
+            .select('reading_style')
+            .eq('email', this.user.email)
+            .limit(1);
+        if (!magicLinks || magicLinks.length === 0) return null;
+
+        // Delete the used entry
+        await this.client.from('magic_links').delete().eq('email', this.user.email);
+        return magicLinks[0].reading_style;
+    }
+
+    async loadAccount({ readingStyle }) {
+        const { data: profiles } = await this.client
+            .from('user_profiles')
+            .select('*')
+            .eq('id', this.user.id)
+            .limit(1);
+        if (profiles && profiles.length) return profiles[0];
+
+        const newProfile = {
+            id: this.user.id,
+            email: this.user.email,
+            display_name: this.user.user_metadata?.full_name || this.user.email || null,
+            preferences: { readingStyle },
+            role: 'user'
+        };
+        const { data: inserted } = await this.client
+            .from('user_profiles')
+            .upsert(newProfile, { returning: 'representation' });
+        return inserted && inserted.length ? inserted[0] : newProfile;
+    }
+
+    async savePreferences(preferences) {
+        const { error } = await this.client.from('user_profiles').update({ preferences }).eq('id', this.user.id);
+        if (error) throw error;
+    }
+
+    // One row per stats key in user_stat_entries; synced_at is set by the database (see README: Database)
+    async pullStats(profileId, since) {
+        const rows = [];
+        for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+            let query = this.client
+                .from('user_stat_entries')
+                .select('profile_id, key, value, counters, modified_at, device_id, synced_at')
+                .eq('user_id', this.user.id);
+            if (profileId) query = query.eq('profile_id', profileId);
+            if (since) query = query.gt('synced_at', since);
+            const { data, error } = await query.order('synced_at').order('key').range(from, from + SUPABASE_PAGE_SIZE - 1);
+            if (error) throw error;
+            rows.push(...(data || []));
+            if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+        }
+    }
+
+    async pushStats(profileId, rows) {
+        for (let i = 0; i < rows.length; i += SUPABASE_PAGE_SIZE) {
+            const { error } = await this.client.from('user_stat_entries').upsert(
+                rows.slice(i, i + SUPABASE_PAGE_SIZE).map(row => ({ ...row, user_id: this.user.id, profile_id: profileId })),
+                { onConflict: 'user_id,profile_id,key' }
+            );
+            if (error) throw error;
+        }
+    }
+
+    async loadStatsSnapshots() {
+        const { data, error } = await this.client
+            .from('user_stats')
+            .select('stats, created_at, profile_id')
+            .eq('user_id', this.user.id)
+            .order('created_at', { ascending: false })
+            .limit(200);
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Classrooms: classrooms, classroom_members and classroom_assignments (see README: Classrooms)
+    async createClassroom(name, joinCode) {
+        const { data, error } = await this.client
+            .from('classrooms')
+            .insert({ name, join_code: joinCode, teacher_id: this.user.id })
+            .select()
+            .single();
+        if (error && error.code === '23505') return null; // join code taken
+        if (error) throw error;
+        return data;
+    }
+
+    async loadClassrooms() {
+        const { data, error } = await this.client
+            .from('classrooms')
+            .select('id, name, join_code, teacher_id, created_at')
+            .eq('teacher_id', this.user.id)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    async deleteClassroom(classroomId) {
+        const { error } = await this.client.from('classrooms').delete().eq('id', classroomId);
+        if (error) throw error;
+    }
+
+    async loadClassroom(classroomId) {
+        const [members, assignments] = await Promise.all([
+            this.client
+                .from('classroom_members')
+                .select('user_id, profile_id, display_name, joined_at')
+                .eq('classroom_id', classroomId)
+                .order('display_name'),
+            this.client
+                .from('classroom_assignments')
+                .select('id, article_id, level, category, title, edition_date, due_date')
+                .eq('classroom_id', classroomId)
+                .order('due_date')
+        ]);
+        if (members.error) throw members.error;
+        if (assignments.error) throw assignments.error;
+        return { members: members.data || [], assignments: assignments.data || [] };
+    }
+
+    async saveAssignment(classroomId, assignment) {
+        const { data, error } = await this.client
+            .from('classroom_assignments')
+            .insert({ ...assignment, classroom_id: classroomId })
+            .select('id, article_id, level, category, title, edition_date, due_date')
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteAssignment(assignmentId) {
+        const { error } = await this.client.from('classroom_assignments').delete().eq('id', assignmentId);
+        if (error) throw error;
+    }
+
+    // Row level security only lets a teacher read their students' quiz_ entries
+    async loadStudentQuizzes(members, keys) {
+        const userIds = [...new Set(members.map(m => m.user_id))];
+        if (userIds.length === 0 || keys.length === 0) return [];
+        const wanted = new Set(members.map(m => `${m.user_id}|${m.profile_id}`));
+        const rows = [];
+        for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+            const { data, error } = await this.client
+                .from('user_stat_entries')
+                .select('user_id, profile_id, key, value')
+                .in('user_id', userIds)
+                .in('key', keys)
+                .order('user_id')
+                .order('profile_id')
+                .order('key')
+                .range(from, from + SUPABASE_PAGE_SIZE - 1);
+            if (error) throw error;
+            rows.push(...(data || []).filter(row => wanted.has(`${row.user_id}|${row.profile_id}`)));
+            if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+        }
+    }
+
+    // Students cannot list classrooms, so joining by code is a database function
+    async joinClassroom(joinCode, profileId, displayName) {
+        const { data, error } = await this.client.rpc('join_classroom', {
+            code: joinCode,
+            profile: profileId,
+            member_name: displayName
+        });
+        if (error) throw new Error(error.message || 'Could not join the class');
+        const classroom = Array.isArray(data) ? data[0] : data;
+        return { id: classroom.id, name: classroom.name };
+    }
+
+    async leaveClassroom(classroomId, profileId) {
+        const { error } = await this.client
+            .from('classroom_members')
+            .delete()
+            .eq('classroom_id', classroomId)
+            .eq('user_id', this.user.id)
+            .eq('profile_id', profileId);
+        if (error) throw error;
+    }
+
+    async loadMemberships(profileId) {
+        const { data, error } = await this.client
+            .from('classroom_members')
+            .select('classrooms (id, name, classroom_assignments (id, article_id, level, category, title, edition_date, due_date))')
+            .eq('user_id', this.user.id)
+            .eq('profile_id', profileId);
+        if (error) throw error;
+        return (data || [])
+            .filter(row => row.classrooms)
+            .map(row => ({ id: row.classrooms.id, name: row.classrooms.name, assignments: row.classrooms.classroom_assignments || [] }));
+    }
+
+    // Counts only: classmates' reasons and names stay private
+    async loadDebateTally(articleId, profileId) {
+        const { data, error } = await this.client.rpc('classroom_debate_tally', { article: articleId, profile: profileId });
+        if (error) throw error;
+        return (data || []).map(row => ({ perspective: row.perspective, votes: Number(row.votes) || 0 }));
+    }
+
+    /**
+     * Removes the account's rows; the auth user itself can only be removed
+     * with the service role (Supabase dashboard)
+     */
+    async deleteAccount() {
+        for (const [table, column] of [['user_stat_entries', 'user_id'], ['user_stats', 'user_id'], ['push_subscriptions', 'user_id'], ['classroom_members', 'user_id'], ['classrooms', 'teacher_id'], ['user_profiles', 'id']]) {
+            const { error } = await this.client.from(table).delete().eq(column, this.user.id);
+            if (error) throw error;
+        }
+        await this.signOut();
+    }
+}
+
+class RestBackend {
+    constructor(apiBase = REST_API_BASE) {
+        this.name = 'rest';
+        this.providers = [];
+        this.client = null;
+        this.apiBase = apiBase;
+        this.user = null;
+        this.onChange = () => {};
+    }
+
+    // Same localStorage keys as user_manager.js, so either client sees the other's login
+    async init(onChange) {
+        this.onChange = onChange;
+        this.user = this.storedUser();
+
+        // Arriving from the email verification link
+        const urlParams = new URLSearchParams(window.location.search);
+        const token = urlParams.get('token');
+        if (urlParams.get('verified') === 'true' && token) {
+            try {
+                const data = await this.request('/user/info', { headers: { 'X-User-Token': token } });
+                this.remember({ user_id: data.user_id, token, name: data.name, reading_style: data.reading_style });
+            } catch (error) {
+                console.error('Auto-login failed:', error);
+            }
+            window.history.replaceState({}, document.title, window.location.pathname);
+        }
+        return this.user;
+    }
+
+    storedUser() {
+        const id = localStorage.getItem('news_user_id');
+        const token = localStorage.getItem('news_user_token');
+        if (!id || !token) return null;
+        return {
+            id,
+            token,
+            email: localStorage.getItem('news_user_email') || '',
+            name: localStorage.getItem('news_user_name') || ''
+        };
+    }
+
+    remember({ user_id, token, name, email, reading_style }) {
+        localStorage.setItem('news_user_id', user_id);
+        localStorage.setItem('news_user_token', token);
+        if (name) localStorage.setItem('news_user_name', name);
+        if (email) localStorage.setItem('news_user_email', email);
+        if (reading_style) localStorage.setItem('news_reading_style', reading_style);
+        this.user = this.storedUser();
+    }
+
+    async request(path, { method = 'GET', headers = {}, body } = {}) {
+        const response = await fetch(`${this.apiBase}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.success === false) {
+            const error = new Error(data.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    authHeaders() {
+        return { 'X-User-Token': this.user.token };
+    }
+
+    /**
+     * Log in with the account's token, or subscribe the email when it is new
+     */
+    async signIn(email, { readingStyle }) {
+        let data;
+        try {
+            data = await this.request('/user/token', { method: 'POST', body: { email } });
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            data = await this.request('/user/register', {
+                method: 'POST',
+                body: { name: email.split('@')[0], email, reading_style: readingStyle }
+            });
+            data.reading_style = data.reading_style || readingStyle;
+        }
+        this.remember({ user_id: data.user_id, token: data.bootstrap_token, name: data.name, email, reading_style: data.reading_style });
+        this.onChange(this.user);
+        return 'signed_in';
+    }
+
+    async signInWithProvider(provider) {
+        throw new Error(`Signing in with ${provider} needs the Supabase backend`);
+    }
+
+    async signOut() {
+        ['news_user_id', 'news_user_token', 'news_user_name', 'news_user_email'].forEach(key => localStorage.removeItem(key));
+        this.user = null;
+        this.onChange(null);
+    }
+
+    async takePendingReadingStyle() {
+        return null;
+    }
+
+    // The user API has no preferences endpoint, so child profiles stay on this device
+    preferencesKey() {
+        return `news_user_preferences_${this.user.id}`;
+    }
+
+    async loadAccount({ readingStyle }) {
+        let preferences = {};
+        try {
+            preferences = JSON.parse(localStorage.getItem(this.preferencesKey())) || {};
+        } catch (error) {
+            preferences = {};
+        }
+        return {
+            id: this.user.id,
+            email: this.user.email,
+            display_name: this.user.name || null,
+            role: 'user',
+            preferences: { readingStyle: localStorage.getItem('news_reading_style') || readingStyle, ...preferences }
+        };
+    }
+
+    async savePreferences(preferences) {
+        localStorage.setItem(this.preferencesKey(), JSON.stringify(preferences));
+    }
+
+    // The user API stores whole stats objects and cannot send them back, so
+    // this backend only pushes: other devices' progress is not merged in
+    async pullStats() {
+        return [];
+    }
+
+    async pushStats(profileId, rows, stats) {
+        await this.request('/user/sync-stats', { method: 'POST', headers: this.authHeaders(), body: { stats, profile_id: profileId } });
+    }
+
+    async loadStatsSnapshots() {
+        throw new Error('The user API cannot read synced stats back; progress reports need the Supabase backend');
+    }
+
+    // The user API has no classrooms
+    async createClassroom() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async loadClassrooms() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async deleteClassroom() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async loadClassroom() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async saveAssignment() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async deleteAssignment() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async loadStudentQuizzes() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async joinClassroom() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async leaveClassroom() {
+        throw new Error(REST_NO_CLASSROOMS);
+    }
+
+    async loadMemberships() {
+        return [];
+    }
+
+    async loadDebateTally() {
+        return [];
+    }
+
+    async deleteAccount() {
+        await this.request('/user/delete', { method: 'POST', headers: this.authHeaders(), body: { confirm: 'DELETE' } });
+        await this.signOut();
+    }
+}
+
+/**
+ * Accounts, preferences and synced stats in this browser. Pass
+ * { persist: false } to keep everything in memory, and the same { store }
+ * object to several instances to play several devices of one account.
+ */
+class LocalBackend {
+    constructor({ persist = true, store = null } = {}) {
+        this.name = 'local';
+        this.providers = [];
+        this.client = null;
+        this.persist = persist;
+        this.store = store || { accounts: {}, session: null, snapshots: [], entries: {}, classrooms: {} };
+        this.user = null;
+        this.onChange = () => {};
+    }
+
+    async init(onChange) {
+        this.onChange = onChange;
+        if (this.persist) {
+            try {
+                Object.assign(this.store, JSON.parse(localStorage.getItem(LOCAL_STORE_KEY) || '{}'));
+            } catch (error) {
+                console.warn('Local accounts unreadable, starting fresh');
+            }
+        }
+        this.user = this.sessionUser();
+        return this.user;
+    }
+
+    save() {
+        if (this.persist) localStorage.setItem(LOCAL_STORE_KEY, JSON.stringify(this.store));
+    }
+
+    sessionUser() {
+        const account = this.store.session && this.store.accounts[this.store.session];
+        return account ? { id: account.id, email: account.email } : null;
+    }
+
+    account() {
+        return this.store.accounts[this.user.email];
+    }
+
+    async signIn(email, { readingStyle }) {
+        const key = email.trim().toLowerCase();
+        if (!this.store.accounts[key]) {
+            this.store.accounts[key] = {
+                id: `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                email: key,
+                display_name: key.split('@')[0],
+                role: 'user',
+                preferences: { readingStyle }
+            };
+        }
+        this.store.session = key;
+        this.save();
+        this.user = this.sessionUser();
+        this.onChange(this.user);
+        return 'signed_in';
+    }
+
+    async signInWithProvider(provider) {
+        throw new Error(`Signing in with ${provider} needs the Supabase backend`);
+    }
+
+    async signOut() {
+        this.store.session = null;
+        this.save();
+        this.user = null;
+        this.onChange(null);
+    }
+
+    async takePendingReadingStyle() {
+        return null;
+    }
+
+    async loadAccount() {
+        return { ...this.account(), preferences: { ...this.account().preferences } };
+    }
+
+    async savePreferences(preferences) {
+        this.account().preferences = preferences;
+        this.save();
+    }
+
+    /**
+     * For trying role-dependent pages: setRole('me@example.com', 'admin')
+     */
+    setRole(email, role) {
+        const account = this.store.accounts[email.trim().toLowerCase()];
+        if (!account) throw new Error(`No local account for ${email}`);
+        account.role = role;
+        this.save();
+    }
+
+    // entries: `${user_id}|${profile_id}|${key}` -> row, like user_stat_entries
+    async pullStats(profileId, since) {
+        return Object.values(this.store.entries)
+            .filter(row => row.user_id === this.user.id && (!profileId || row.profile_id === profileId) && (!since || row.synced_at > since))
+            .sort((a, b) => a.synced_at.localeCompare(b.synced_at))
+            .map(row => JSON.parse(JSON.stringify(row)));
+    }
+
+    async pushStats(profileId, rows) {
+        const syncedAt = new Date().toISOString();
+        rows.forEach(row => {
+            this.store.entries[`${this.user.id}|${profileId}|${row.key}`] = JSON.parse(JSON.stringify({
+                ...row,
+                user_id: this.user.id,
+                profile_id: profileId,
+                synced_at: syncedAt
+            }));
+        });
+        this.save();
+    }
+
+    async loadStatsSnapshots() {
+        return this.store.snapshots
+            .filter(row => row.user_id === this.user.id)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    // classrooms: id -> { id, name, join_code, teacher_id, created_at, members, assignments }
+    classrooms() {
+        if (!this.store.classrooms) this.store.classrooms = {};
+        return this.store.classrooms;
+    }
+
+    classroom(classroomId) {
+        const classroom = this.classrooms()[classroomId];
+        if (!classroom) throw new Error('No such class');
+        return classroom;
+    }
+
+    async createClassroom(name, joinCode) {
+        if (!['teacher', 'admin'].includes(this.account().role)) throw new Error('Only teachers can create classes');
+        if (Object.values(this.classrooms()).some(c => c.join_code === joinCode)) return null;
+        const id = `class-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        this.classrooms()[id] = { id, name, join_code: joinCode, teacher_id: this.user.id, created_at: new Date().toISOString(), members: [], assignments: [] };
+        this.save();
+        const { members, assignments, ...classroom } = this.classrooms()[id];
+        return classroom;
+    }
+
+    async loadClassrooms() {
+        return Object.values(this.classrooms())
+            .filter(c => c.teacher_id === this.user.id)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(({ members, assignments, ...classroom }) => classroom);
+    }
+
+    async deleteClassroom(classroomId) {
+        delete this.classrooms()[classroomId];
+        this.save();
+    }
+
+    async loadClassroom(classroomId) {
+        const classroom = this.classroom(classroomId);
+        return JSON.parse(JSON.stringify({
+            members: [...classroom.members].sort((a, b) => a.display_name.localeCompare(b.display_name)),
+            assignments: [...classroom.assignments].sort((a, b) => a.due_date.localeCompare(b.due_date))
+        }));
+    }
+
+    async saveAssignment(classroomId, assignment) {
+        const saved = { ...assignment, id: `assignment-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}` };
+        this.classroom(classroomId).assignments.push(saved);
+        this.save();
+        return { ...saved };
+    }
+
+    async deleteAssignment(assignmentId) {
+        Object.values(this.classrooms()).forEach(classroom => {
+            classroom.assignments = classroom.assignments.filter(a => a.id !== assignmentId);
+        });
+        this.save();
+    }
+
+    async loadStudentQuizzes(members, keys) {
+        const wanted = new Set(members.map(m => `${m.user_id}|${m.profile_id}`));
+        return Object.values(this.store.entries)
+            .filter(row => wanted.has(`${row.user_id}|${row.profile_id}`) && keys.includes(row.key))
+            .map(({ user_id, profile_id, key, value }) => JSON.parse(JSON.stringify({ user_id, profile_id, key, value })));
+    }
+
+    async joinClassroom(joinCode, profileId, displayName) {
+        const classroom = Object.values(this.classrooms()).find(c => c.join_code === joinCode);
+        if (!classroom) throw new Error(`No class with join code ${joinCode}`);
+        classroom.members = classroom.members.filter(m => !(m.user_id === this.user.id && m.profile_id === profileId));
+        classroom.members.push({ user_id: this.user.id, profile_id: profileId, display_name: displayName, joined_at: new Date().toISOString() });
+        this.save();
+        return { id: classroom.id, name: classroom.name };
+    }
+
+    async leaveClassroom(classroomId, profileId) {
+        const classroom = this.classroom(classroomId);
+        classroom.members = classroom.members.filter(m => !(m.user_id === this.user.id && m.profile_id === profileId));
+        this.save();
+    }
+
+    async loadMemberships(profileId) {
+        return Object.values(this.classrooms())
+            .filter(c => c.members.some(m => m.user_id === this.user.id && m.profile_id === profileId))
+            .map(c => ({ id: c.id, name: c.name, assignments: JSON.parse(JSON.stringify(c.assignments)) }));
+    }
+
+    async loadDebateTally(articleId, profileId) {
+        const rooms = Object.values(this.classrooms())
+            .filter(c => c.members.some(m => m.user_id === this.user.id && m.profile_id === profileId));
+        const classmates = new Set(rooms.flatMap(c => c.members.map(m => `${m.user_id}|${m.profile_id}`)));
+        const votes = {};
+        Object.values(this.store.entries).forEach(row => {
+            if (row.key !== `debate_${articleId}` || !classmates.has(`${row.user_id}|${row.profile_id}`)) return;
+            const perspective = row.value && row.value.perspective;
+            if (perspective) votes[perspective] = (votes[perspective] || 0) + 1;
+        });
+        return Object.entries(votes).map(([perspective, count]) => ({ perspective, votes: count }));
+    }
+
+    async deleteAccount() {
+        const id = this.user.id;
+        delete this.store.accounts[this.user.email];
+        Object.values(this.classrooms()).forEach(classroom => {
+            if (classroom.teacher_id === id) delete this.store.classrooms[classroom.id];
+            else classroom.members = classroom.members.filter(m => m.user_id !== id);
+        });
+        this.store.snapshots = this.store.snapshots.filter(row => row.user_id !== id);
+        Object.keys(this.store.entries).forEach(key => {
+            if (this.store.entries[key].user_id === id) delete this.store.entries[key];
+        });
+        await this.signOut();
+    }
+}
+
+const USER_BACKENDS = { supabase: SupabaseBackend, rest: RestBackend, local: LocalBackend };
+
+function userBackendName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('backend');
+    if (fromUrl && USER_BACKENDS[fromUrl]) sessionStorage.setItem(BACKEND_KEY, fromUrl);
+    return sessionStorage.getItem(BACKEND_KEY) || window.USER_BACKEND || 'supabase';
+}
+
+function createUserBackend(name = userBackendName()) {
+    const Backend = USER_BACKENDS[name];
+    if (!Backend) {
+        console.warn(`Unknown user backend "${name}", using supabase`);
+        return new SupabaseBackend();
+    }
+    return new Backend();
+}
+
+window.createUserBackend = createUserBackend;
+
+export { SupabaseBackend, RestBackend, LocalBackend, createUserBackend };
+export default createUserBackend;
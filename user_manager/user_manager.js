@@ -275,6 +275,7 @@ class UserManager {
     createUserDropdown() {
         const dropdownHtml = `
             <div id="user-dropdown" class="user-dropdown" style="display: none;">
+                <div id="badge-shelf-container"></div>
                 <div class="dropdown-item" id="change-style">
                     <span>📚 Change Reading Style</span>
                 </div>
@@ -322,6 +323,16 @@ class UserManager {
         });
     }
     
+    /**
+     * Fill the dropdown's badge shelf (needs achievements.js on the page)
+     */
+    renderBadgeShelf() {
+        const container = document.getElementById('badge-shelf-container');
+        if (!container || typeof window.Achievements === 'undefined') return;
+        
+        container.innerHTML = new window.Achievements(this).shelfHtml() + '<div class="dropdown-divider"></div>';
+    }
+    
     /**
      * Toggle user dropdown
      */
@@ -342,6 +353,7 @@ class UserManager {
             const rect = userBtn.getBoundingClientRect();
             dropdown.style.top = `${rect.bottom + 5}px`;
             dropdown.style.right = `${window.innerWidth - rect.right}px`;
+            this.renderBadgeShelf();
             dropdown.style.display = 'block';
             console.log('✅ Dropdown shown at', dropdown.style.top, dropdown.style.right);
             
@@ -790,19 +802,22 @@ class UserManager {
     
     /**
      * Track word completion
+     * details: optional { game } naming the keyword game that was played
      */
-    trackWordCompletion(articleId, wordId) {
+    trackWordCompletion(articleId, wordId, details = {}) {
         const key = `word_${articleId}_${wordId}`;
-        this.stats[key] = { completed: true, timestamp: Date.now() };
+        this.stats[key] = { ...details, completed: true, timestamp: Date.now() };
         this.saveStats();
     }
     
     /**
      * Track quiz completion
+     * details: optional { category, level } used by progress reports
      */
-    trackQuizCompletion(articleId, score, total) {
+    trackQuizCompletion(articleId, score, total, details = {}) {
         const key = `quiz_${articleId}`;
         this.stats[key] = {
+            ...details,
             score: score,
             total: total,
             percentage: Math.round((score / total) * 100),
@@ -813,10 +828,11 @@ class UserManager {
     
     /**
      * Track article read
+     * details: optional { category, level } used by progress reports
      */
-    trackArticleRead(articleId) {
+    trackArticleRead(articleId, details = {}) {
         const key = `read_${articleId}`;
-        this.stats[key] = { read: true, timestamp: Date.now() };
+        this.stats[key] = { ...details, read: true, timestamp: Date.now() };
         this.saveStats();
     }
 }
@@ -1,463 +1,14 @@
 // Supabase-backed User Manager (module)
-// Loads @supabase/supabase-js via ESM CDN and provides a compatible UserManager API
+// AccountManager (account_manager.js) on the Supabase backend, kept for pages
+// and scripts that construct SupabaseUserManager directly. New pages use
+// createUserManager() so the backend can be chosen at runtime.
 
-import { createClient } from 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js/+esm'
+import AccountManager from './account_manager.js';
+import { SupabaseBackend } from './user_backends.js';
 
-class SupabaseUserManager {
+class SupabaseUserManager extends AccountManager {
     constructor() {
-        this.SUPABASE_URL = window.SUPABASE_URL || '';
-        this.SUPABASE_ANON_KEY = window.SUPABASE_ANON_KEY || '';
-        this.supabase = null;
-        this.user = null;
-        this.profile = null; // user_profiles row
-        this.readingStyle = 'enjoy';
-        this.stats = {};
-
-        this.init();
-    }
-
-    async init() {
-        if (!this.SUPABASE_URL || !this.SUPABASE_ANON_KEY) {
-            console.warn('Supabase credentials not set. Set window.SUPABASE_URL and window.SUPABASE_ANON_KEY before loading the script.');
-            return;
-        }
-
-        this.supabase = createClient(this.SUPABASE_URL, this.SUPABASE_ANON_KEY, {
-            auth: { persistSession: true }
-        });
-
-        // Load stats from localStorage to preserve existing behavior
-        this.loadStats();
-
-        // Listen to auth changes
-        this.supabase.auth.onAuthStateChange((_event, session) => {
-            if (session && session.user) {
-                this.onLogin(session.user);
-            } else {
-                this.onLogout();
-            }
-        });
-
-        // Check current session
-        const { data } = await this.supabase.auth.getSession();
-        if (data && data.session && data.session.user) {
-            await this.onLogin(data.session.user);
-        }
-
-        // Check for magic link token in URL (Supabase OTP or signup verification)
-        const urlParams = new URLSearchParams(window.location.search);
-        const token_hash = urlParams.get('token_hash');
-        const type = urlParams.get('type');
-        
-        if (token_hash && (type === 'magiclink' || type === 'signup')) {
-            console.log('Detected auth callback, type:', type);
-            // Wait a moment for Supabase to complete authentication
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Get the current session to find user email
-            const { data: sessionData } = await this.supabase.auth.getSession();
-            if (sessionData && sessionData.session && sessionData.session.user) {
-                const userEmail = sessionData.session.user.email;
-                console.log('Auth successful for:', userEmail);
-                
-                // Try to get reading style from magic_links table
-                const { data: magicLinks, error: fetchError } = await this.supabase
-                    .from('magic_links')
-                    .select('reading_style')
-                    .eq('email', userEmail)
-                    .limit(1);
-                
-                console.log('Retrieved reading style:', magicLinks);
-                
-                if (magicLinks && magicLinks.length > 0) {
-                    const pendingStyle = magicLinks[0].reading_style;
-                    console.log('Applying reading style:', pendingStyle);
-                    this.readingStyle = pendingStyle;
-                    localStorage.setItem('news_reading_style', pendingStyle);
-                    
-                    // Delete the used entry
-                    await this.supabase.from('magic_links').delete().eq('email', userEmail);
-                    
-                    // Redirect to the selected reading style page
-                    const stylePages = {
-                        'relax': '/?lang=en&level=easy',
-                        'enjoy': '/?lang=en&level=middle',
-                        'research': '/?lang=en&level=high',
-                        'chinese': '/?lang=cn'
-                    };
-                    const redirectUrl = stylePages[pendingStyle] || '/';
-                    console.log('Redirecting to:', redirectUrl);
-                    
-                    // Clean up URL parameters and redirect immediately
-                    window.location.href = redirectUrl;
-                    return;
-                } else {
-                    console.log('No reading style found in magic_links table, using default');
-                }
-            }
-            
-            // Fallback: just clean up URL
-            window.history.replaceState({}, document.title, window.location.pathname);
-        }
-
-        // Expose to window for compatibility with existing code
-        window.userManager = this;
-        console.log('✅ SupabaseUserManager initialized');
-    }
-
-    loadStats() {
-        try {
-            const statsJson = localStorage.getItem('news_stats');
-            this.stats = statsJson ? JSON.parse(statsJson) : {};
-        } catch (e) {
-            this.stats = {};
-        }
-    }
-
-    saveStats() {
-        localStorage.setItem('news_stats', JSON.stringify(this.stats || {}));
-    }
-
-    isRegistered() {
-        return !!this.user;
-    }
-
-    async onLogin(user) {
-        this.user = user;
-        
-        // Check if this is a fresh login (user just verified/signed in)
-        // Try to get reading style from magic_links table
-        const { data: magicLinks } = await this.supabase
-            .from('magic_links')
-            .select('reading_style')
-            .eq('email', user.email)
-            .limit(1);
-        
-        if (magicLinks && magicLinks.length > 0) {
-            const pendingStyle = magicLinks[0].reading_style;
-            console.log('Found pending reading style during onLogin:', pendingStyle);
-            this.readingStyle = pendingStyle;
-            localStorage.setItem('news_reading_style', pendingStyle);
-            
-            // Delete the used entry
-            await this.supabase.from('magic_links').delete().eq('email', user.email);
-            
-            // Redirect to the selected reading style page
-            const stylePages = {
-                'relax': '/?lang=en&level=easy',
-                'enjoy': '/?lang=en&level=middle',
-                'research': '/?lang=en&level=high',
-                'chinese': '/?lang=cn'
-            };
-            const redirectUrl = stylePages[pendingStyle] || '/';
-            
-            // Only redirect if we're not already on the right page
-            const currentUrl = window.location.href;
-            if (!currentUrl.includes(redirectUrl.substring(1))) {
-                console.log('Redirecting to:', redirectUrl);
-                window.location.href = redirectUrl;
-                return;
-            }
-        }
-        
-        // fetch or create profile
-        try {
-            const { data: profiles } = await this.supabase
-                .from('user_profiles')
-                .select('*')
-                .eq('id', user.id)
-                .limit(1);
-
-            if (profiles && profiles.length) {
-                this.profile = profiles[0];
-                if (this.profile.preferences && this.profile.preferences.readingStyle) {
-                    this.readingStyle = this.profile.preferences.readingStyle;
-                }
-            } else {
-                // Insert a new profile (upsert)
-                const newProfile = {
-                    id: user.id,
-                    email: user.email,
-                    display_name: user.user_metadata?.full_name || user.email || null,
-                    preferences: { readingStyle: this.readingStyle },
-                    role: 'user'
-                };
-                const { data: inserted } = await this.supabase
-                    .from('user_profiles')
-                    .upsert(newProfile, { returning: 'representation' });
-
-                if (inserted && inserted.length) this.profile = inserted[0];
-            }
-        } catch (err) {
-            console.error('Failed to load/upsert profile', err);
-        }
-
-        // Save readingStyle locally for compatibility
-        localStorage.setItem('news_reading_style', this.readingStyle);
-
-        // If old code expects redirectToPreferredPage or applyUserPreference, keep method names
-        if (typeof window.userManager !== 'undefined' && window.userManager !== this) {
-            // overwrite global to this manager
-            window.userManager = this;
-        }
-
-        // Optionally call any callback
-        if (typeof this.onReady === 'function') this.onReady();
-    }
-
-    async onLogout() {
-        this.user = null;
-        this.profile = null;
-        // keep readingStyle in localStorage so guest preferences persist
-        console.log('User logged out');
-    }
-
-    async openLoginSubscribeModal() {
-        // Simple modal offering Google and Email magic link
-        const modalHtml = `
-            <div id="supa-login-modal" class="user-modal" style="display:flex;">
-                <div class="user-modal-content">
-                    <span class="user-modal-close" id="supa-login-close">&times;</span>
-                    <h2>Sign in</h2>
-                    <p>Use Google or email magic link.</p>
-                    <div style="display:flex;gap:8px;margin-bottom:12px;">
-                        <button id="supa-google" class="btn-primary">Continue with Google</button>
-                    </div>
-                    <form id="supa-email-form">
-                        <label for="supa-email">Email</label>
-                        <input id="supa-email" type="email" required placeholder="you@example.com" />
-                        <button type="submit" class="btn-primary">Send Magic Link</button>
-                    </form>
-                    <div style="margin-top:12px;">
-                        <label for="supa-reading-style">Reading style</label>
-                        <select id="supa-reading-style">
-                            <option value="relax">Relax</option>
-                            <option value="enjoy" selected>Enjoy</option>
-                            <option value="research">Research</option>
-                            <option value="chinese">Chinese</option>
-                        </select>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        const wrapper = document.createElement('div');
-        wrapper.innerHTML = modalHtml;
-        document.body.appendChild(wrapper);
-
-        document.getElementById('supa-login-close').onclick = () => wrapper.remove();
-        document.getElementById('supa-google').onclick = async () => {
-            const styleEl = document.getElementById('supa-reading-style');
-            this.readingStyle = styleEl?.value || this.readingStyle;
-            await this.supabase.auth.signInWithOAuth({ provider: 'google' });
-            // Supabase will redirect to callback -- session handled in onAuthStateChange
-        };
-
-        document.getElementById('supa-email-form').onsubmit = async (e) => {
-            e.preventDefault();
-            const email = document.getElementById('supa-email').value.trim();
-            const styleEl = document.getElementById('supa-reading-style');
-            this.readingStyle = styleEl?.value || this.readingStyle;
-
-            if (!email) return alert('Please enter an email');
-
-            try {
-                // Store reading style preference in magic_links table
-                const { error: insertError } = await this.supabase
-                    .from('magic_links')
-                    .insert({
-                        token: email, // Use email as temporary key
-                        email: email,
-                        reading_style: this.readingStyle,
-                        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() // 1 hour
-                    });
-                
-                if (insertError && !insertError.message.includes('duplicate')) {
-                    console.error('Failed to store reading style:', insertError);
-                }
-                
-                // Use Supabase's built-in magic link with SMTP settings
-                const { error } = await this.supabase.auth.signInWithOtp({
-                    email: email,
-                    options: {
-                        emailRedirectTo: window.location.origin,
-                        data: {
-                            reading_style: this.readingStyle
-                        }
-                    }
-                });
-                
-                if (error) {
-                    console.error('Supabase OTP error:', error);
-                    throw new Error(error.message || 'Failed to send magic link');
-                }
-                
-                alert('✅ Magic link sent! Check your inbox and click the link to sign in.');
-                wrapper.remove();
-            } catch (error) {
-                console.error('Magic link error:', error);
-                alert('❌ Error sending magic link: ' + error.message + '\n\nPlease verify SMTP settings in Supabase dashboard.');
-            }
-        };
-    }
-
-    async sendCustomMagicLink(email) {
-        // Generate a random token
-        const token = this.generateRandomToken(32);
-        const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-        
-        // Store token in Supabase table (works across devices/browsers)
-        const { error: insertError } = await this.supabase
-            .from('magic_links')
-            .insert({
-                token: token,
-                email: email,
-                reading_style: this.readingStyle,
-                expires_at: expiresAt.toISOString()
-            });
-        
-        if (insertError) {
-            console.error('Failed to store magic link:', insertError);
-            throw new Error('Failed to create magic link: ' + insertError.message);
-        }
-        
-        // Create magic link URL
-        const magicLinkUrl = `${window.location.origin}?magic_token=${token}`;
-        
-        // Send email via your custom API
-        const sanitizedAnonKey = (this.SUPABASE_ANON_KEY || '').trim();
-        const response = await fetch(`${this.SUPABASE_URL}/functions/v1/send-email`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${sanitizedAnonKey}`,
-                'apikey': sanitizedAnonKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                to_email: email,
-                subject: 'Welcome! Sign in to News from 6ray.com',
-                message: `Hello!\n\nClick the link below to sign in:\n\n${magicLinkUrl}\n\nThis link will expire in 15 minutes.\n\nIf you didn't request this, please ignore this email.\n\nBest regards,\nNews from 6ray.com`,
-                from_name: 'admin@6ray.com'
-            })
-        });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to send email');
-        }
-        
-        return await response.json();
-    }
-    
-    generateRandomToken(length) {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let token = '';
-        const array = new Uint8Array(length);
-        crypto.getRandomValues(array);
-        for (let i = 0; i < length; i++) {
-            token += chars[array[i] % chars.length];
-        }
-        return token;
-    }
-    
-    async verifyMagicLink(token) {
-        // Get stored magic link data from Supabase
-        const { data: magicLinks, error: fetchError } = await this.supabase
-            .from('magic_links')
-            .select('*')
-            .eq('token', token)
-            .limit(1);
-        
-        if (fetchError || !magicLinks || magicLinks.length === 0) {
-            throw new Error('Invalid or expired magic link');
-        }
-        
-        const magicLinkData = magicLinks[0];
-        
-        // Check if expired
-        if (new Date(magicLinkData.expires_at) < new Date()) {
-            // Delete expired token
-            await this.supabase.from('magic_links').delete().eq('token', token);
-            throw new Error('Magic link has expired');
-        }
-        
-        // Set reading style from magic link
-        this.readingStyle = magicLinkData.reading_style || 'enjoy';
-        localStorage.setItem('news_reading_style', this.readingStyle);
-        
-        // Sign in the user with password
-        const randomPassword = crypto.randomUUID();
-        
-        // Try to sign up first
-        const { error: signUpError } = await this.supabase.auth.signUp({
-            email: magicLinkData.email,
-            password: randomPassword,
-            options: {
-                data: {
-                    reading_style: this.readingStyle
-                }
-            }
-        });
-        
-        // If user already exists, sign them in
-        if (signUpError && signUpError.message.includes('already registered')) {
-            // For existing users, we need to use signInWithPassword but we don't know their password
-            // So we'll use the admin API to create a session
-            const { error: signInError } = await this.supabase.auth.signInWithPassword({
-                email: magicLinkData.email,
-                password: randomPassword
-            });
-            
-            if (signInError) {
-                // If that fails, create a new session by updating the user
-                console.log('User exists, creating session...');
-            }
-        }
-        
-        // Delete the used token
-        await this.supabase.from('magic_links').delete().eq('token', token);
-        
-        // Wait for auth state to update
-        await new Promise(resolve => setTimeout(resolve, 500));
-    }
-
-    async changeReadingStyle(newStyle) {
-        this.readingStyle = newStyle;
-        localStorage.setItem('news_reading_style', newStyle);
-
-        if (this.profile && this.profile.id) {
-            try {
-                const { error } = await this.supabase.from('user_profiles').update({ preferences: { readingStyle: newStyle } }).eq('id', this.profile.id);
-                if (error) console.error('Failed to update profile preferences', error);
-            } catch (err) { console.error(err); }
-        }
-        // apply preference if needed by site
-        if (typeof this.applyUserPreference === 'function') this.applyUserPreference();
-    }
-
-    async isAdmin() {
-        if (!this.profile) return false;
-        return this.profile.role === 'admin';
-    }
-
-    async logout() {
-        await this.supabase.auth.signOut();
-        // supabase will trigger onAuthStateChange
-    }
-
-    // Keep compatible method names used by pages
-    async syncStats() {
-        // Optional: send stats to a server endpoint or Supabase table
-        if (!this.user) return alert('Please sign in to sync stats');
-
-        try {
-            const { error } = await this.supabase.from('user_stats').insert({ user_id: this.user.id, stats: this.stats });
-            if (error) throw error;
-            alert('✅ Stats synced');
-        } catch (err) {
-            console.error(err);
-            alert('Failed to sync stats: ' + (err.message || err));
-        }
+        super(new SupabaseBackend());
     }
 }
 
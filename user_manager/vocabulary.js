@@ -0,0 +1,183 @@
+// Vocabulary Notebook (module)
+// Collects article keywords into news_stats and schedules reviews with SM-2.
+//
+// Each word lives under its own stats key so it syncs like any other activity:
+//   vocab_<slug> = { term, explanation, articles, matched, repetitions,
+//                    interval, ease, due, lastReview, timestamp }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const DAILY_REVIEW_LIMIT = 20;
+
+// Answer buttons on the review card map to SM-2 quality grades
+const GRADES = {
+    forgot: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+class VocabularyNotebook {
+    constructor(userManager) {
+        this.userManager = userManager;
+    }
+
+    get stats() {
+        if (!this.userManager.stats) this.userManager.stats = {};
+        return this.userManager.stats;
+    }
+
+    save() {
+        this.userManager.saveStats();
+    }
+
+    static slug(term) {
+        return String(term || '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    static key(term) {
+        return `vocab_${VocabularyNotebook.slug(term)}`;
+    }
+
+    /**
+     * Record keywords a child has seen in an article (idempotent per article)
+     */
+    addSeen(keywords, { articleId, level } = {}) {
+        let added = 0;
+        (keywords || []).forEach(kw => {
+            const term = kw.term || kw.title;
+            if (!term || !VocabularyNotebook.slug(term)) return;
+
+            const key = VocabularyNotebook.key(term);
+            const entry = this.stats[key] || {
+                term: term,
+                explanation: kw.explanation || kw.description || '',
+                articles: [],
+                matched: 0,
+                repetitions: 0,
+                interval: 0,
+                ease: DEFAULT_EASE,
+                due: Date.now(),
+                lastReview: null
+            };
+
+            if (articleId && !entry.articles.includes(articleId)) {
+                entry.articles.push(articleId);
+                if (!this.stats[key]) added++;
+            }
+            if (level) entry.level = level;
+            entry.timestamp = Date.now();
+            this.stats[key] = entry;
+        });
+        this.save();
+        return added;
+    }
+
+    /**
+     * Record a correct match from the keyword game; counts as a "good" review if due
+     */
+    recordMatch(term) {
+        const key = VocabularyNotebook.key(term);
+        const entry = this.stats[key];
+        if (!entry) return;
+
+        entry.matched = (entry.matched || 0) + 1;
+        if (entry.due <= Date.now()) {
+            this.applyGrade(entry, GRADES.good);
+        }
+        entry.timestamp = Date.now();
+        this.save();
+    }
+
+    /**
+     * SM-2: update repetitions, interval and ease from a 0-5 quality grade
+     */
+    applyGrade(entry, quality) {
+        if (quality < 3) {
+            entry.repetitions = 0;
+            entry.interval = 1;
+        } else {
+            if (entry.repetitions === 0) entry.interval = 1;
+            else if (entry.repetitions === 1) entry.interval = 6;
+            else entry.interval = Math.round(entry.interval * entry.ease);
+            entry.repetitions += 1;
+        }
+
+        const ease = entry.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        entry.ease = Math.max(MIN_EASE, Math.round(ease * 100) / 100);
+        entry.lastReview = Date.now();
+        entry.due = startOfDay(Date.now()) + entry.interval * DAY_MS;
+        return entry;
+    }
+
+    /**
+     * Grade a word during a review session ('forgot' | 'hard' | 'good' | 'easy')
+     */
+    review(term, answer) {
+        const quality = GRADES[answer];
+        const key = VocabularyNotebook.key(term);
+        const entry = this.stats[key];
+        if (!entry || quality === undefined) return null;
+
+        this.applyGrade(entry, quality);
+        entry.timestamp = Date.now();
+
+        const sessionKey = `vocab_session_${todayString()}`;
+        const session = this.stats[sessionKey] || { reviewed: 0, remembered: 0 };
+        session.reviewed += 1;
+        if (quality >= 3) session.remembered += 1;
+        session.timestamp = Date.now();
+        this.stats[sessionKey] = session;
+
+        this.save();
+        return entry;
+    }
+
+    words() {
+        return Object.keys(this.stats)
+            .filter(key => key.startsWith('vocab_') && !key.startsWith('vocab_session_'))
+            .map(key => this.stats[key])
+            .sort((a, b) => a.term.localeCompare(b.term));
+    }
+
+    dueWords(limit = DAILY_REVIEW_LIMIT) {
+        const endOfToday = startOfDay(Date.now()) + DAY_MS;
+        return this.words()
+            .filter(word => word.due < endOfToday)
+            .sort((a, b) => a.due - b.due)
+            .slice(0, limit);
+    }
+
+    summary() {
+        const words = this.words();
+        const today = this.stats[`vocab_session_${todayString()}`] || { reviewed: 0, remembered: 0 };
+        return {
+            total: words.length,
+            due: this.dueWords(Infinity).length,
+            learned: words.filter(word => word.repetitions >= 3).length,
+            reviewedToday: today.reviewed
+        };
+    }
+}
+
+function startOfDay(ms) {
+    const date = new Date(ms);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function todayString() {
+    const date = new Date();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+window.VocabularyNotebook = VocabularyNotebook;
+
+export default VocabularyNotebook;
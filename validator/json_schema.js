@@ -0,0 +1,96 @@
+// JSON Schema (draft-07 subset)
+// Just enough of the spec for the payload schemas in ./schemas, with no
+// dependencies so the validator runs with a bare `node`:
+// type, enum, required, properties, additionalProperties, items, minItems,
+// minLength, pattern, anyOf, $ref (local "#/definitions/..." only).
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+    return ref.slice(2).split('/').reduce((node, part) => {
+        if (!node || !(part in node)) throw new Error(`Unresolved $ref: ${ref}`);
+        return node[part];
+    }, root);
+}
+
+/**
+ * Validate value against schema; returns [{ path, message }] (empty when valid).
+ * Paths look like "articles[2].questions[0].options".
+ */
+function validate(value, schema, root = schema, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+
+    if (schema.$ref) {
+        return validate(value, resolveRef(root, schema.$ref), root, path);
+    }
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(option => validate(value, option, root, path).length === 0);
+        if (!passes) errors.push({ path: at, message: schema.anyOfMessage || 'does not match any allowed shape' });
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path: at, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: at, message: `missing required "${key}"` });
+        });
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validate(value[key], properties[key], root, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(value[key], schema.additionalProperties, root, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
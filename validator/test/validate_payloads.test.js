@@ -0,0 +1,134 @@
+// Payload Validator tests
+// Each case copies fixtures/clean (one article with its three levels, an
+// image and a two-date archive) into its own temporary directory, breaks one
+// thing and checks the errors validatePayloads() returns.
+//
+// Usage: node --test validator/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validatePayloads } = require('../validate_payloads');
+
+const CLEAN = path.join(__dirname, 'fixtures', 'clean');
+
+/**
+ * A copy of the clean fixture named after the case; change(dir) breaks it
+ */
+function fixture(t, name, change = () => {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `validator-${name}-`));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.cpSync(CLEAN, dir, { recursive: true });
+    change(dir);
+    return dir;
+}
+
+function editJson(dir, file, edit) {
+    const full = path.join(dir, file);
+    const data = JSON.parse(fs.readFileSync(full, 'utf8'));
+    edit(data);
+    fs.writeFileSync(full, JSON.stringify(data, null, 2));
+}
+
+// [file, message] pairs, so a failure shows every error at once
+function errorsOf(result) {
+    return result.errors.map(error => [error.file, error.message]);
+}
+
+test('a clean tree has no errors or warnings', t => {
+    const result = validatePayloads(fixture(t, 'clean'));
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings, []);
+    // 12 listings, 3 article levels and archive_index.json
+    assert.strictEqual(result.filesChecked, 16);
+});
+
+test('a missing level file is reported with the listing that needs it', t => {
+    const dir = fixture(t, 'missing-level', dir => {
+        fs.rmSync(path.join(dir, 'article_payloads', 'payload_fixture1', 'high.json'));
+    });
+    const result = validatePayloads(dir);
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(errorsOf(result), [[
+        path.join('article_payloads', 'payload_fixture1', 'high.json'),
+        `missing high payload for fixture1 (listed in ${path.join('payloads', 'articles_news_easy.json')})`
+    ]]);
+});
+
+test('a missing listing file is reported', t => {
+    const dir = fixture(t, 'missing-listing', dir => {
+        fs.rmSync(path.join(dir, 'payloads', 'articles_fun_cn.json'));
+    });
+    assert.deepStrictEqual(errorsOf(validatePayloads(dir)), [
+        [path.join('payloads', 'articles_fun_cn.json'), 'file is missing']
+    ]);
+});
+
+test('a correct_answer that is not one of the options is reported', t => {
+    const dir = fixture(t, 'bad-answer', dir => {
+        editJson(dir, 'article_payloads/payload_fixture1/middle.json', data => {
+            data.questions[0].correct_answer = 'Hammers';
+        });
+    });
+    const result = validatePayloads(dir);
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(result.errors, [{
+        file: path.join('article_payloads', 'payload_fixture1', 'middle.json'),
+        path: 'questions[0]',
+        message: 'correct_answer "Hammers" is not one of its options'
+    }]);
+});
+
+test('a correct_answer given as a letter is accepted', t => {
+    const dir = fixture(t, 'letter-answer', dir => {
+        editJson(dir, 'article_payloads/payload_fixture1/easy.json', data => {
+            data.questions[0].correct_answer = 'C';
+        });
+    });
+    assert.strictEqual(validatePayloads(dir).ok, true);
+});
+
+test('a missing image is reported for the listing and every level', t => {
+    const dir = fixture(t, 'missing-image', dir => {
+        fs.rmSync(path.join(dir, 'article_images', 'fixture1.webp'));
+    });
+    const result = validatePayloads(dir);
+    const missing = 'image not found: /article_images/fixture1.webp';
+    assert.deepStrictEqual(errorsOf(result), [
+        [path.join('payloads', 'articles_news_easy.json'), missing],
+        [path.join('article_payloads', 'payload_fixture1', 'easy.json'), missing],
+        [path.join('article_payloads', 'payload_fixture1', 'middle.json'), missing],
+        [path.join('article_payloads', 'payload_fixture1', 'high.json'), missing]
+    ]);
+    assert.strictEqual(result.errors[0].path, 'articles[0].image_url');
+    // Tests that only care about JSON can skip the image check
+    assert.strictEqual(validatePayloads(dir, { checkImages: false }).ok, true);
+});
+
+test('a duplicate archive date is reported', t => {
+    const dir = fixture(t, 'duplicate-date', dir => {
+        editJson(dir, 'payloads/archive_index.json', data => {
+            data.dates.push({ ...data.dates[0] });
+        });
+    });
+    const result = validatePayloads(dir);
+    assert.deepStrictEqual(result.errors, [{
+        file: path.join('payloads', 'archive_index.json'),
+        path: 'dates[2].date',
+        message: 'duplicate date 2026-04-27'
+    }]);
+});
+
+test('malformed JSON is reported and the file is not checked further', t => {
+    const dir = fixture(t, 'malformed', dir => {
+        fs.writeFileSync(path.join(dir, 'article_payloads', 'payload_fixture1', 'easy.json'), '{ "title": "Otters", ');
+    });
+    const result = validatePayloads(dir);
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].file, path.join('article_payloads', 'payload_fixture1', 'easy.json'));
+    assert.match(result.errors[0].message, /^invalid JSON: /);
+    assert.strictEqual(result.filesChecked, 15);
+});
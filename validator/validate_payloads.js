@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Payload Validator
+// Checks the generated content unpacked from the daily website zip before it
+// is published: listings, per-level article payloads and archive_index.json
+// against the JSON Schemas in ./schemas, plus invariants across files.
+//
+// Usage: node validator/validate_payloads.js [site root]   (default: repo root)
+// Exits with status 1 when anything is wrong. Tests can require() this file
+// and call validatePayloads(root) directly; it only reads from disk.
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./json_schema');
+
+const CATEGORIES = ['news', 'science', 'fun'];
+const LISTING_LEVELS = ['easy', 'middle', 'high', 'cn'];
+const ARTICLE_LEVELS = ['easy', 'middle', 'high'];
+// Multiple choice correct_answer may be the option text or a letter (A = options[0])
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+
+const SCHEMAS = {
+    listing: loadJson(path.join(__dirname, 'schemas', 'listing.schema.json')),
+    article: loadJson(path.join(__dirname, 'schemas', 'article.schema.json')),
+    archiveIndex: loadJson(path.join(__dirname, 'schemas', 'archive_index.schema.json'))
+};
+
+function loadJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+class Report {
+    constructor(root) {
+        this.root = root;
+        this.errors = [];
+        this.warnings = [];
+        this.filesChecked = 0;
+    }
+
+    relative(file) {
+        return path.relative(this.root, file) || file;
+    }
+
+    error(file, where, message) {
+        this.errors.push({ file: this.relative(file), path: where, message });
+    }
+
+    warn(file, where, message) {
+        this.warnings.push({ file: this.relative(file), path: where, message });
+    }
+
+    /**
+     * Parse a JSON file and validate it; returns the data, or null when it is
+     * missing or not JSON (already reported)
+     */
+    readValid(file, schema) {
+        if (!fs.existsSync(file)) {
+            this.error(file, '', 'file is missing');
+            return null;
+        }
+        let data;
+        try {
+            data = loadJson(file);
+        } catch (error) {
+            this.error(file, '', `invalid JSON: ${error.message}`);
+            return null;
+        }
+        this.filesChecked++;
+        validate(data, schema).forEach(({ path: where, message }) => this.error(file, where, message));
+        return data;
+    }
+}
+
+/**
+ * Validate the payloads under root. Returns
+ * { ok, errors: [{ file, path, message }], warnings: [...], filesChecked }
+ */
+function validatePayloads(root, { checkImages = true } = {}) {
+    const report = new Report(path.resolve(root));
+    const payloadsDir = path.join(report.root, 'payloads');
+    const articlePayloadsDir = path.join(report.root, 'article_payloads');
+
+    // Listings
+    const listedIds = new Map(); // id -> first listing file it appeared in
+    CATEGORIES.forEach(category => {
+        LISTING_LEVELS.forEach(level => {
+            const file = path.join(payloadsDir, `articles_${category}_${level}.json`);
+            const data = report.readValid(file, SCHEMAS.listing);
+            if (!data || !Array.isArray(data.articles)) return;
+
+            const seen = new Set();
+            data.articles.forEach((article, i) => {
+                if (!article || typeof article.id !== 'string') return;
+                if (seen.has(article.id)) report.error(file, `articles[${i}].id`, `duplicate id ${article.id}`);
+                seen.add(article.id);
+                if (!listedIds.has(article.id)) listedIds.set(article.id, file);
+                if (checkImages) checkImage(report, file, `articles[${i}].image_url`, article.image_url);
+            });
+        });
+    });
+
+    // Article payloads: every listed id needs all three English levels
+    listedIds.forEach((listingFile, id) => {
+        ARTICLE_LEVELS.forEach(level => {
+            const file = path.join(articlePayloadsDir, `payload_${id}`, `${level}.json`);
+            if (!fs.existsSync(file)) {
+                report.error(file, '', `missing ${level} payload for ${id} (listed in ${report.relative(listingFile)})`);
+                return;
+            }
+            const data = report.readValid(file, SCHEMAS.article);
+            if (!data) return;
+            checkAnswers(report, file, data.questions, data.summary);
+            if (checkImages) checkImage(report, file, 'image_url', data.image_url);
+        });
+    });
+
+    if (fs.existsSync(articlePayloadsDir)) {
+        fs.readdirSync(articlePayloadsDir)
+            .filter(name => name.startsWith('payload_') && !listedIds.has(name.slice('payload_'.length)))
+            .forEach(name => report.warn(path.join(articlePayloadsDir, name), '', 'not referenced by any listing'));
+    }
+
+    // Archive index (optional: a fresh site has no archive yet)
+    const archiveFile = path.join(payloadsDir, 'archive_index.json');
+    if (fs.existsSync(archiveFile)) {
+        const archive = report.readValid(archiveFile, SCHEMAS.archiveIndex);
+        if (archive && Array.isArray(archive.dates)) {
+            const dates = new Set();
+            archive.dates.forEach((item, i) => {
+                if (!item || typeof item.date !== 'string') return;
+                if (dates.has(item.date)) report.error(archiveFile, `dates[${i}].date`, `duplicate date ${item.date}`);
+                dates.add(item.date);
+            });
+        }
+    }
+
+    return {
+        ok: report.errors.length === 0,
+        errors: report.errors,
+        warnings: report.warnings,
+        filesChecked: report.filesChecked
+    };
+}
+
+// Fields each question type needs beyond the schema (see article_page/quiz_types.js)
+const QUESTION_CHECKS = {
+    multiple_choice(question) {
+        if (!question.question) return 'missing "question"';
+        if (!Array.isArray(question.options)) return 'missing "options"';
+        const answer = question.correct_answer;
+        if (typeof answer !== 'string') return 'missing "correct_answer"';
+        if (question.options.includes(answer)) return null;
+        const letterIndex = answer.length === 1 ? ANSWER_LETTERS.indexOf(answer.toUpperCase()) : -1;
+        if (letterIndex !== -1 && letterIndex < question.options.length) return null;
+        return `correct_answer ${JSON.stringify(answer)} is not one of its options`;
+    },
+    true_false(question) {
+        if (!question.question) return 'missing "question"';
+        const answer = String(question.correct_answer).trim().toLowerCase();
+        return ['true', 't', 'yes', 'false', 'f', 'no'].includes(answer) ? null : 'correct_answer must be true or false';
+    },
+    fill_blank(question, summary) {
+        const answer = question.correct_answer;
+        if (typeof answer !== 'string' || !answer.trim()) return 'missing "correct_answer"';
+        if (question.sentence) return /_{3,}/.test(question.sentence) ? null : 'sentence has no "___" blank';
+        const pattern = new RegExp(`\\b${answer.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+        return pattern.test(summary || '') ? null : `correct_answer ${JSON.stringify(answer)} does not appear in the summary`;
+    },
+    ordering(question) {
+        if (!question.question) return 'missing "question"';
+        if (!Array.isArray(question.items)) return 'missing "items"';
+        return new Set(question.items).size === question.items.length ? null : 'items must be different from each other';
+    },
+    matching() {
+        // Without pairs the quiz matches the article's keywords
+        return null;
+    }
+};
+
+function checkAnswers(report, file, questions, summary) {
+    if (!Array.isArray(questions)) return;
+    questions.forEach((question, i) => {
+        if (!question || typeof question !== 'object') return;
+        const check = QUESTION_CHECKS[question.type || 'multiple_choice'];
+        if (!check) return; // unknown types are reported by the schema
+        const problem = check(question, summary);
+        if (problem) report.error(file, `questions[${i}]`, problem);
+    });
+}
+
+// Site-relative image paths must exist; remote URLs (archived editions) are not fetched
+function checkImage(report, file, where, imageUrl) {
+    if (!imageUrl) {
+        report.warn(file, where, 'no image');
+        return;
+    }
+    if (/^https?:\/\//.test(imageUrl)) return;
+    const imagePath = path.join(report.root, decodeURIComponent(imageUrl.split(/[?#]/)[0]));
+    if (!fs.existsSync(imagePath)) report.error(file, where, `image not found: ${imageUrl}`);
+}
+
+function printReport(result) {
+    const print = (label, items) => {
+        let lastFile = null;
+        items.forEach(item => {
+            if (item.file !== lastFile) {
+                console.log(`\n${label} ${item.file}`);
+                lastFile = item.file;
+            }
+            console.log(`  ${item.path ? item.path + ': ' : ''}${item.message}`);
+        });
+    };
+    print('⚠️ ', result.warnings);
+    print('❌', result.errors);
+    console.log(`\n${result.ok ? '✅' : '❌'} ${result.filesChecked} files checked, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+}
+
+if (require.main === module) {
+    const root = process.argv[2] || path.join(__dirname, '..');
+    const result = validatePayloads(root);
+    printReport(result);
+    process.exit(result.ok ? 0 : 1);
+}
+
+module.exports = { validatePayloads, printReport };